@@ -1,6 +1,6 @@
 // middleware/auth.js - JWT authentication middleware with logging
-const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const { verifyAccessToken, touchSession } = require('../utils/tokens');
 
 const authMiddleware = async (req, res, next) => {
   console.log(`[${new Date().toISOString()}] Auth middleware processing request to ${req.originalUrl}`);
@@ -16,10 +16,10 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Authentication required' });
     }
 
-    // Verify token
+    // Verify token and make sure its session has not been revoked
     console.log('Verifying JWT token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Token verified, userId:', decoded.userId);
+    const { decoded, session } = await verifyAccessToken(token);
+    console.log('Token verified, userId:', decoded.userId, 'session:', session._id.toString());
     
     // Find user
     console.log('Finding user in database...');
@@ -33,6 +33,8 @@ const authMiddleware = async (req, res, next) => {
     // Add user to request object
     console.log('User authenticated successfully:', user.email);
     req.user = user;
+    req.authSession = session;
+    await touchSession(session, req.ip);
     next();
   } catch (error) {
     console.error('Auth middleware error:', error);
@@ -40,6 +42,9 @@ const authMiddleware = async (req, res, next) => {
       console.error('JWT Error type:', error.name);
       console.error('JWT Error message:', error.message);
     }
+    if (error.name === 'SessionRevokedError') {
+      return res.status(401).json({ message: 'Session revoked', error: error.message });
+    }
     return res.status(401).json({ message: 'Invalid token', error: error.message });
   }
 };
@@ -0,0 +1,35 @@
+// middleware/groupWritable.js - Reject changes to archived groups
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+
+// Runs after authMiddleware on routes with a :groupId param. Invalid IDs and
+// missing groups are passed through for the route to report.
+const groupWritable = async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return next();
+    }
+
+    const group = await Group.findById(groupId).select('archivedAt');
+    if (group?.archivedAt) {
+      console.log(`Rejected change to archived group ${groupId}`);
+      return res.status(409).json({
+        success: false,
+        message: 'This group is archived; unarchive it to make changes',
+        archived: true
+      });
+    }
+
+    next();
+  } catch (error) {
+    console.error('Group writable check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to check group status',
+      error: error.message
+    });
+  }
+};
+
+module.exports = groupWritable;
@@ -0,0 +1,52 @@
+// middleware/photoUpload.js - Accept a single image upload in the "photo" field
+const multer = require('multer');
+
+const MAX_PHOTO_BYTES = parseInt(process.env.PHOTO_MAX_BYTES, 10) || 5 * 1024 * 1024;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif'];
+
+// Kept in memory: photos are small and get re-encoded before being stored.
+// Mount it after the route's permission checks so only allowed callers get
+// their upload buffered.
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const error = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      error.message = `Unsupported file type ${file.mimetype}; use JPEG, PNG, WebP or GIF`;
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('photo');
+
+// Runs multer and turns its errors into the dashboard's JSON responses
+const photoUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (!error) {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'A photo file is required in the "photo" field'
+        });
+      }
+      console.log(`Received photo upload: ${req.file.mimetype}, ${req.file.size} bytes`);
+      return next();
+    }
+
+    console.log('Photo upload rejected:', error.message);
+    if (error.code === 'LIMIT_FILE_SIZE') {
+      return res.status(413).json({
+        success: false,
+        message: `Photo must be smaller than ${Math.round(MAX_PHOTO_BYTES / (1024 * 1024))} MB`
+      });
+    }
+    res.status(400).json({
+      success: false,
+      message: error instanceof multer.MulterError ? error.message : 'Invalid upload',
+      error: error.message
+    });
+  });
+};
+
+module.exports = photoUpload;
@@ -0,0 +1,96 @@
+// models/Activity.js - Append-only log of changes made in a group
+const mongoose = require('mongoose');
+
+const ACTIONS = [
+  'group_created',
+  'group_archived',
+  'group_unarchived',
+  'settings_updated',
+  'photo_updated',
+  'photo_removed',
+  'member_invited',
+  'invitation_cancelled',
+  'invitation_declined',
+  'member_joined',
+  'member_left',
+  'member_removed',
+  'member_role_changed',
+  'ownership_transferred',
+  'expense_added',
+  'expense_edited',
+  'expense_deleted',
+  'split_settled',
+  'balance_settled',
+  'recurring_expense_created',
+  'recurring_expense_edited',
+  'recurring_expense_paused',
+  'recurring_expense_resumed',
+  'recurring_expense_skipped',
+  'recurring_expense_deleted'
+];
+
+const activitySchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  // Who made the change
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  action: {
+    type: String,
+    enum: ACTIONS,
+    required: true
+  },
+  // The member the change was about, when it is not the actor
+  subjectUser: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Expense'
+  },
+  // State of the changed record before and after, where that applies
+  before: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  after: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // Anything else worth keeping, e.g. an invited email address
+  details: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+activitySchema.index({ group: 1, createdAt: -1 });
+
+// Entries are never edited. The only exception is anonymizing a deleted
+// account, which passes { allowActivityRewrite: true } explicitly.
+activitySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Activity entries cannot be modified'));
+  }
+  next();
+});
+
+activitySchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  if (!this.getOptions().allowActivityRewrite) {
+    return next(new Error('Activity entries cannot be modified'));
+  }
+  next();
+});
+
+activitySchema.statics.ACTIONS = ACTIONS;
+
+module.exports = mongoose.model('Activity', activitySchema);
@@ -1,5 +1,106 @@
 // models/Expense.js - Expense schema for MongoDB
 const mongoose = require('mongoose');
+const { fromMinor } = require('../utils/money');
+
+// Money is stored as whole minor units of the expense's currency (cents for
+// USD) so splits and balances add up exactly
+const minorUnits = {
+  type: Number,
+  validate: {
+    validator: Number.isSafeInteger,
+    message: '{PATH} must be a whole number of minor units'
+  }
+};
+
+const splitSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  amountMinor: {
+    ...minorUnits,
+    default: 0
+  },
+  settled: {
+    type: Boolean,
+    default: false
+  },
+  // On an expense with several payers, the payers this member has already
+  // squared up with. The share is settled once it covers all of them.
+  settledWith: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+  // What the member's amount was worked out from, for percentage, shares
+  // and mixed splits
+  percentage: {
+    type: Number
+  },
+  shares: {
+    type: Number
+  },
+  fixedAmountMinor: minorUnits
+});
+
+// Major-unit amounts for responses
+splitSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.ownerDocument().currency);
+});
+
+splitSchema.virtual('fixedAmount').get(function () {
+  if (this.fixedAmountMinor === undefined || this.fixedAmountMinor === null) {
+    return undefined;
+  }
+  return fromMinor(this.fixedAmountMinor, this.ownerDocument().currency);
+});
+
+splitSchema.set('toJSON', { virtuals: true });
+splitSchema.set('toObject', { virtuals: true });
+
+const payerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amountMinor: {
+    ...minorUnits,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+payerSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.ownerDocument().currency);
+});
+
+payerSchema.set('toJSON', { virtuals: true });
+payerSchema.set('toObject', { virtuals: true });
+
+// One line of an itemized receipt, shared equally by its members
+const itemSchema = new mongoose.Schema({
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amountMinor: {
+    ...minorUnits,
+    required: true,
+    min: 0
+  },
+  members: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }]
+});
+
+itemSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.ownerDocument().currency);
+});
+
+itemSchema.set('toJSON', { virtuals: true });
+itemSchema.set('toObject', { virtuals: true });
 
 const expenseSchema = new mongoose.Schema({
   group: {
@@ -12,35 +113,40 @@ const expenseSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  amount: {
-    type: Number,
+  amountMinor: {
+    ...minorUnits,
     required: true,
     min: 0
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  // With several payers this is the one who paid the most
   paidBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
   },
-  splitAmong: [{
-    user: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    amount: {
-      type: Number,
-      default: 0
-    },
-    settled: {
-      type: Boolean,
-      default: false
-    }
-  }],
+  // Who paid how much when more than one person paid. Empty for expenses
+  // paid in full by paidBy.
+  payers: [payerSchema],
+  splitAmong: [splitSchema],
   splitType: {
     type: String,
-    enum: ['equal', 'unequal', 'percentage', 'mixed', 'Settlement'],
+    enum: ['equal', 'unequal', 'percentage', 'shares', 'mixed', 'itemized', 'Settlement'],
     default: 'equal'
   },
+  // Itemized receipts keep their line items and the extras that were spread
+  // over them in proportion to each member's subtotal
+  items: [itemSchema],
+  extras: {
+    taxMinor: minorUnits,
+    serviceChargeMinor: minorUnits,
+    tipMinor: minorUnits
+  },
   date: {
     type: Date,
     default: Date.now
@@ -52,7 +158,28 @@ const expenseSchema = new mongoose.Schema({
   notes: {
     type: String,
     trim: true
+  },
+  // The template this expense was created from, if any
+  recurringExpense: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'RecurringExpense'
   }
 });
 
+// One expense per occurrence of a recurring expense, so a scheduler that
+// retries an occurrence can't create it twice
+expenseSchema.index(
+  { recurringExpense: 1, date: 1 },
+  { unique: true, partialFilterExpression: { recurringExpense: { $exists: true } } }
+);
+
+// Virtual for the amount in major units
+expenseSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.currency);
+});
+
+// Set virtuals to be included in JSON
+expenseSchema.set('toJSON', { virtuals: true });
+expenseSchema.set('toObject', { virtuals: true });
+
 module.exports = mongoose.model('Expense', expenseSchema);
\ No newline at end of file
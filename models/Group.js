@@ -1,5 +1,6 @@
 // models/Group.js - Group schema for MongoDB
 const mongoose = require('mongoose');
+const { fromMinor } = require('../utils/money');
 
 const groupSchema = new mongoose.Schema({
   name: {
@@ -11,9 +12,44 @@ const groupSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
+  // Seeds categories and settings at creation; see utils/groupTemplates.js
+  type: {
+    type: String,
+    enum: ['trip', 'home', 'couple', 'event', 'other'],
+    default: 'other'
+  },
+  categories: [{
+    type: String,
+    trim: true
+  }],
+  // Recurring expenses the group may want to set up, e.g. rent for a home
+  recurringSuggestions: [{
+    _id: false,
+    description: String,
+    category: String,
+    frequency: {
+      type: String,
+      enum: ['weekly', 'monthly', 'yearly']
+    }
+  }],
+  // Trip dates, used to tell upcoming trips from past ones
+  startDate: {
+    type: Date
+  },
+  endDate: {
+    type: Date
+  },
   photoUrl: {
     type: String
   },
+  photoThumbnailUrl: {
+    type: String
+  },
+  // Storage key of an uploaded photo, so it can be removed when replaced;
+  // unset when photoUrl points at an external image
+  photoStorageKey: {
+    type: String
+  },
   admin: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -39,10 +75,65 @@ const groupSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
-  totalExpenses: {
+  settings: {
+    // Refuse invites to users who have not verified their email address
+    requireVerifiedEmail: {
+      type: Boolean,
+      default: false
+    },
+    // Currency new expenses are recorded in unless one is given
+    defaultCurrency: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: 'USD'
+    },
+    // Split used when an expense does not specify one
+    defaultSplitType: {
+      type: String,
+      enum: ['equal', 'unequal', 'percentage', 'shares', 'mixed'],
+      default: 'equal'
+    },
+    // Members an expense is split among by default; empty means everyone
+    defaultParticipants: [{
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }],
+    // Show balances as the fewest payments that settle the group
+    simplifyDebts: {
+      type: Boolean,
+      default: false
+    },
+    // What members who are not admins may do with expenses
+    permissions: {
+      membersCanAddExpenses: {
+        type: Boolean,
+        default: true
+      },
+      membersCanEditExpenses: {
+        type: Boolean,
+        default: true
+      },
+      membersCanDeleteExpenses: {
+        type: Boolean,
+        default: true
+      }
+    }
+  },
+  // Running total of expense amounts in minor units (cents)
+  totalExpensesMinor: {
     type: Number,
     default: 0
   },
+  // Archived groups are read-only and hidden from the group list by default
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -58,6 +149,10 @@ groupSchema.virtual('memberCount').get(function() {
   return this.members.filter(member => member.status === 'active').length + 1; // +1 for admin
 });
 
+groupSchema.virtual('totalExpenses').get(function() {
+  return fromMinor(this.totalExpensesMinor, this.settings?.defaultCurrency);
+});
+
 // Set virtuals to be included in JSON
 groupSchema.set('toJSON', { virtuals: true });
 groupSchema.set('toObject', { virtuals: true });
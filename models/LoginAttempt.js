@@ -0,0 +1,41 @@
+// models/LoginAttempt.js - Record of every login attempt, including the 2FA step
+const mongoose = require('mongoose');
+
+const loginAttemptSchema = new mongoose.Schema({
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  // Set when the email belongs to an existing account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  ip: {
+    type: String
+  },
+  userAgent: {
+    type: String
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['success', 'unknown_user', 'no_password', 'invalid_password', 'locked_out', 'two_factor_required', 'invalid_two_factor_code']
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, createdAt: -1 });
+
+// Keep attempts for 90 days
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
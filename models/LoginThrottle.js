@@ -0,0 +1,26 @@
+// models/LoginThrottle.js - Failed login counters used by the Mongo throttle store
+const mongoose = require('mongoose');
+
+const loginThrottleSchema = new mongoose.Schema({
+  // e.g. `account:jane@example.com` or `ip:203.0.113.7`
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  failures: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+loginThrottleSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('LoginThrottle', loginThrottleSchema);
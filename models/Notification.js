@@ -14,7 +14,21 @@ const NotificationSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['group_invite', 'expense_added', 'payment_received', 'payment_requested'],
+    enum: [
+      'group_invite',
+      'group_invite_accepted',
+      'group_invite_declined',
+      'group_invite_cancelled',
+      'member_left',
+      'member_removed',
+      'member_role_changed',
+      'group_deleted',
+      'expense_added',
+      'expense_updated',
+      'expense_deleted',
+      'payment_received',
+      'payment_requested'
+    ],
     required: true
   },
   message: {
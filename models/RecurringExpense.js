@@ -0,0 +1,185 @@
+// models/RecurringExpense.js - Template for an expense that repeats on a schedule
+const mongoose = require('mongoose');
+const { fromMinor } = require('../utils/money');
+const { FREQUENCIES } = require('../utils/recurrence');
+
+// Same storage as Expense: whole minor units of the template's currency
+const minorUnits = {
+  type: Number,
+  validate: {
+    validator: Number.isSafeInteger,
+    message: '{PATH} must be a whole number of minor units'
+  }
+};
+
+const payerSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amountMinor: {
+    ...minorUnits,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+payerSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.ownerDocument().currency);
+});
+
+payerSchema.set('toJSON', { virtuals: true });
+payerSchema.set('toObject', { virtuals: true });
+
+// One member of the split and what their share is worked out from: a fixed
+// amount for unequal and mixed splits, a percentage or a number of shares
+const participantSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  amountMinor: minorUnits,
+  percentage: {
+    type: Number
+  },
+  shares: {
+    type: Number
+  }
+}, { _id: false });
+
+participantSchema.virtual('amount').get(function () {
+  if (this.amountMinor === undefined || this.amountMinor === null) {
+    return undefined;
+  }
+  return fromMinor(this.amountMinor, this.ownerDocument().currency);
+});
+
+participantSchema.set('toJSON', { virtuals: true });
+participantSchema.set('toObject', { virtuals: true });
+
+const recurringExpenseSchema = new mongoose.Schema({
+  group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    required: true
+  },
+  // Recorded as the actor of every expense the template creates
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  description: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  amountMinor: {
+    ...minorUnits,
+    required: true,
+    min: 0
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: 'USD'
+  },
+  // As on Expense: the payer who pays the most, with `payers` filled in
+  // only when more than one person pays
+  paidBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  payers: [payerSchema],
+  splitType: {
+    type: String,
+    enum: ['equal', 'unequal', 'percentage', 'shares', 'mixed'],
+    default: 'equal'
+  },
+  // Empty for an equal split among the group's default participants at
+  // the time each expense is created
+  participants: [participantSchema],
+  category: {
+    type: String,
+    default: 'Other'
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  // Schedule; see utils/recurrence.js
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true
+  },
+  interval: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  cron: {
+    type: String,
+    trim: true
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date
+  },
+  // When the next expense is due; null once the schedule has ended
+  nextOccurrence: {
+    type: Date
+  },
+  // Upcoming occurrences that should not create an expense
+  skippedDates: [{
+    type: Date
+  }],
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  pausedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  occurrenceCount: {
+    type: Number,
+    default: 0
+  },
+  lastOccurrenceAt: {
+    type: Date
+  },
+  // Why the scheduler last paused the template, e.g. a payer left the group
+  lastError: {
+    message: String,
+    at: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// The scheduler looks up templates that are due
+recurringExpenseSchema.index({ pausedAt: 1, nextOccurrence: 1 });
+recurringExpenseSchema.index({ group: 1 });
+
+recurringExpenseSchema.virtual('amount').get(function () {
+  return fromMinor(this.amountMinor, this.currency);
+});
+
+recurringExpenseSchema.set('toJSON', { virtuals: true });
+recurringExpenseSchema.set('toObject', { virtuals: true });
+
+module.exports = mongoose.model('RecurringExpense', recurringExpenseSchema);
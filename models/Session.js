@@ -0,0 +1,65 @@
+// models/Session.js - Per-device login session backing a rotating refresh token
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // SHA-256 of the refresh token currently valid for this session
+  refreshTokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  // Hashes of refresh tokens already rotated out; presenting one again means
+  // the token was stolen, so the whole session gets revoked
+  previousTokenHashes: {
+    type: [String],
+    index: true
+  },
+  // Device the session was created from
+  platform: {
+    type: String,
+    enum: ['web', 'ios', 'android', 'expo', 'unknown'],
+    default: 'unknown'
+  },
+  userAgent: {
+    type: String
+  },
+  ip: {
+    type: String
+  },
+  lastSeenAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date
+  },
+  revokedReason: {
+    type: String
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastRefreshedAt: {
+    type: Date
+  }
+});
+
+// Let MongoDB drop sessions once their refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -2,10 +2,21 @@
 const mongoose = require('mongoose');
 
 const userSchema = new mongoose.Schema({
+  // Google account subject; absent for users who never linked Google.
+  // Older email/password accounts carry a placeholder `local_...` value.
   googleId: {
     type: String,
-    required: true,
-    unique: true
+    unique: true,
+    sparse: true
+  },
+  // Email of the linked Google account, which may differ from `email`
+  googleEmail: {
+    type: String,
+    lowercase: true,
+    trim: true
+  },
+  googleLinkedAt: {
+    type: Date
   },
   email: {
     type: String,
@@ -14,11 +25,43 @@ const userSchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  emailVerifiedAt: {
+    type: Date
+  },
   // Add password field for email authentication
   password: {
     type: String,
     // Not required because Google users won't have a password
   },
+  // TOTP two-factor authentication
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: {
+      type: String
+    },
+    // Secret generated during enrolment, promoted once a code is confirmed
+    pendingSecret: {
+      type: String
+    },
+    // SHA-256 hashes of the unused recovery codes
+    recoveryCodes: [{
+      type: String
+    }],
+    // Last accepted TOTP time step, so a code cannot be used twice
+    lastUsedStep: {
+      type: Number
+    },
+    enabledAt: {
+      type: Date
+    }
+  },
   name: {
     type: String,
     required: true
@@ -26,6 +69,14 @@ const userSchema = new mongoose.Schema({
   photoUrl: {
     type: String
   },
+  photoThumbnailUrl: {
+    type: String
+  },
+  // Storage key of an uploaded photo, so it can be removed when replaced;
+  // unset when photoUrl points at an external image
+  photoStorageKey: {
+    type: String
+  },
   friends: [{
     user: {
       type: mongoose.Schema.Types.ObjectId,
@@ -92,7 +143,34 @@ const userSchema = new mongoose.Schema({
   lastLogin: {
     type: Date,
     default: Date.now
+  },
+  // Anonymized stand-in left behind when an account is deleted, so shared
+  // expenses keep pointing at someone
+  isDeletedPlaceholder: {
+    type: Boolean,
+    default: false
   }
 });
 
+// Whether the user has a real (non-placeholder) Google identity linked
+userSchema.methods.hasGoogleIdentity = function() {
+  return Boolean(this.googleId) && !this.googleId.startsWith('local_');
+};
+
+// List the ways this user can sign in
+userSchema.methods.getSignInMethods = function() {
+  const methods = [];
+  if (this.password) {
+    methods.push({ provider: 'password', email: this.email });
+  }
+  if (this.hasGoogleIdentity()) {
+    methods.push({
+      provider: 'google',
+      email: this.googleEmail || this.email,
+      linkedAt: this.googleLinkedAt
+    });
+  }
+  return methods;
+};
+
 module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
@@ -0,0 +1,45 @@
+// models/UserToken.js - Single-use tokens (password reset, email verification, 2FA sign-in challenges)
+const mongoose = require('mongoose');
+
+const userTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  purpose: {
+    type: String,
+    enum: ['password_reset', 'email_verification', 'two_factor_challenge'],
+    required: true
+  },
+  // SHA-256 of the token sent by email (or of a 2FA challenge's jti); the
+  // raw token is never stored
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  usedAt: {
+    type: Date
+  },
+  // Wrong codes tried against a 2FA challenge
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+userTokenSchema.index({ user: 1, purpose: 1 });
+
+// Remove tokens a day after they expire
+userTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('UserToken', userTokenSchema);
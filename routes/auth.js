@@ -1,22 +1,92 @@
 // routes/auth.js - Authentication routes with detailed logging
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const { OAuth2Client } = require('google-auth-library');
 const User = require('../models/User');
+const authMiddleware = require('../middleware/auth');
+const {
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  sessionContextFromRequest,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  hashToken,
+  signChallengeToken,
+  verifyChallengeToken
+} = require('../utils/tokens');
+const Session = require('../models/Session');
+const { verifyGoogleIdToken, googleClientIds } = require('../utils/googleVerifier');
+const { issueUserToken, consumeUserToken, reserveUserTokenAttempt } = require('../utils/userTokens');
+const { sendMail, appUrl } = require('../utils/mailer');
+const totp = require('../utils/totp');
+const loginThrottle = require('../utils/loginThrottle');
+const { validatePassword, hashPassword } = require('../utils/passwords');
+const { checkSecondFactor, confirmSecondFactor, confirmIdentity } = require('../utils/reauth');
+const { claimPendingInvitations } = require('../utils/invitations');
 
-// Set up valid client IDs array from environment variables
-const validClientIds = [
-  process.env.GOOGLE_CLIENT_ID,           // Web client ID
-  process.env.GOOGLE_ANDROID_CLIENT_ID,   // Android client ID
-  process.env.GOOGLE_EXPO_CLIENT_ID       // Expo client ID
-].filter(Boolean); // Filter out any undefined values
+// Strict mode only trusts claims from a verified ID token. Disable with
+// GOOGLE_AUTH_STRICT=false to accept client-supplied profile data (dev only).
+const googleAuthStrict = process.env.GOOGLE_AUTH_STRICT !== 'false';
 
-console.log('Auth routes initialized with', validClientIds.length, 'Google client IDs');
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60;
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES, 10) || 24 * 60;
+
+const TWO_FACTOR_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Expense Splitter';
+const RECOVERY_CODE_COUNT = 10;
+// Wrong codes allowed against one sign-in challenge before it is locked;
+// every miss also counts towards the account's login lockout
+const TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS = 5;
+
+// Generate recovery codes; the plain codes go to the user once, the hashes
+// are stored
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+  return { codes, hashes: codes.map(code => hashToken(code)) };
+};
+
+// Send the failure from a re-authentication check (see utils/reauth.js)
+const sendReauthFailure = (res, { status, retryAfter, ...body }) => {
+  if (retryAfter) {
+    res.set('Retry-After', String(retryAfter));
+  }
+  return res.status(status).json({ ...body, retryAfter });
+};
+
+// Reply to a successful first factor when the account requires 2FA.
+// Issuing a challenge invalidates any earlier one for the same user.
+const sendTwoFactorChallenge = async (res, user) => {
+  const jti = await issueUserToken(user._id, 'two_factor_challenge', TWO_FACTOR_CHALLENGE_TTL_SECONDS / 60);
+  const { token: challengeToken, expiresIn } = signChallengeToken(user._id, jti);
+  console.log('Two-factor authentication required for user:', user._id.toString());
+  return res.status(200).json({
+    twoFactorRequired: true,
+    challengeToken,
+    expiresIn
+  });
+};
+
+// Email a fresh verification link to a user
+const sendVerificationEmail = async (user) => {
+  const token = await issueUserToken(user._id, 'email_verification', EMAIL_VERIFICATION_TTL_MINUTES);
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm that this is your email address by opening the link below. It expires in ${Math.round(EMAIL_VERIFICATION_TTL_MINUTES / 60)} hours.\n\n${appUrl('/verify-email', { token })}\n\nIf you didn't create an account, you can ignore this email.`
+  });
+  console.log('Verification email sent to user:', user._id.toString());
+};
+
+console.log('Auth routes initialized with', googleClientIds.length, 'Google client IDs');
+console.log(`Google auth strict mode is ${googleAuthStrict ? 'on' : 'OFF'}`);
 
 // Add these routes to your auth.js file
 
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 // Email/password registration route
 router.post('/register', async (req, res) => {
@@ -32,6 +102,12 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ message: 'Email, password, and name are required' });
     }
     
+    const passwordErrors = validatePassword(password, { email });
+    if (passwordErrors.length > 0) {
+      console.log('Registration failed: Password does not meet policy');
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+    
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -40,38 +116,37 @@ router.post('/register', async (req, res) => {
     }
     
     // Hash password
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+    const hashedPassword = await hashPassword(password);
     
     // Create new user
     const user = new User({
       email,
       password: hashedPassword,
       name,
-      platform: platform || 'unknown',
-      // Generate a unique ID for non-Google users
-      googleId: `local_${Date.now()}_${Math.random().toString(36).substring(2, 15)}`
+      platform: platform || 'unknown'
     });
     
     await user.save();
     console.log('New user registered:', user._id.toString());
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // Ask the user to prove they own the address
+    await sendVerificationEmail(user);
+    
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken, expiresIn } = await createSession(user, sessionContextFromRequest(req, user));
     
-    // Return user data and token
+    // Return user data and tokens
     res.status(201).json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         photoUrl: user.photoUrl,
-        platform: user.platform
+        platform: user.platform,
+        emailVerified: user.emailVerified
       }
     });
     
@@ -97,24 +172,44 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Email and password are required' });
     }
     
+    const attempt = { email, ip: req.ip, userAgent: req.get('user-agent') };
+    
+    // Refuse while the account or IP is locked out
+    const retryAfter = await loginThrottle.getRetryAfter(attempt);
+    if (retryAfter > 0) {
+      console.log(`Login blocked: Locked out for another ${retryAfter}s`);
+      await loginThrottle.logAttempt({ ...attempt, success: false, reason: 'locked_out' });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+      });
+    }
+    
+    const failLogin = async (reason, user, message) => {
+      await loginThrottle.recordFailure(attempt);
+      await loginThrottle.logAttempt({ ...attempt, user: user?._id, success: false, reason });
+      return res.status(401).json({ message });
+    };
+    
     // Find user by email
     const user = await User.findOne({ email });
     if (!user) {
       console.log('Login failed: User not found');
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return failLogin('unknown_user', null, 'Invalid email or password');
     }
     
     // Check if user has a password (might be Google-only user)
     if (!user.password) {
       console.log('Login failed: User has no password (Google account only)');
-      return res.status(401).json({ message: 'This account uses Google Sign-In only' });
+      return failLogin('no_password', user, 'This account uses Google Sign-In only');
     }
     
     // Verify password
     const isMatch = await bcrypt.compare(password, user.password);
     if (!isMatch) {
       console.log('Login failed: Invalid password');
-      return res.status(401).json({ message: 'Invalid email or password' });
+      return failLogin('invalid_password', user, 'Invalid email or password');
     }
     
     // Update user's last login and platform
@@ -124,22 +219,30 @@ router.post('/login', async (req, res) => {
     }
     await user.save();
     
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    // The failure counter is only cleared once a session is issued, which
+    // for 2FA accounts happens in /2fa/verify
+    if (user.twoFactor?.enabled) {
+      await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'two_factor_required' });
+      return await sendTwoFactorChallenge(res, user);
+    }
     
-    // Return user data and token
+    // Start a session and issue access + refresh tokens
+    const { token, refreshToken, expiresIn } = await createSession(user, sessionContextFromRequest(req, user));
+    await loginThrottle.recordSuccess(attempt);
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: true, reason: 'success' });
+    
+    // Return user data and tokens
     res.status(200).json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         photoUrl: user.photoUrl,
-        platform: user.platform
+        platform: user.platform,
+        emailVerified: user.emailVerified
       }
     });
     
@@ -165,53 +268,131 @@ router.post('/google', async (req, res) => {
   });
 
   try {
-    const { googleId, email, name, photoUrl, idToken, platform } = req.body;
+    const { idToken, platform } = req.body;
+
+    if (!idToken && googleAuthStrict) {
+      console.log('Google auth failed: No ID token provided');
+      return res.status(400).json({ message: 'Google ID token is required' });
+    }
+
+    if (googleAuthStrict && googleClientIds.length === 0) {
+      console.error('Google auth failed: No Google client IDs configured');
+      return res.status(500).json({ message: 'Google Sign-In is not configured' });
+    }
+
+    // Resolve the Google identity from the verified token payload only
+    let identity = null;
 
-    // Verify Google token if idToken is provided
     if (idToken) {
       console.log('Verifying Google ID token...');
-      
-      // Try verifying with each valid client ID
-      let tokenVerified = false;
-      let verificationError = null;
-      
-      for (const clientId of validClientIds) {
-        try {
-          console.log(`Attempting verification with client ID: ${clientId.substring(0, 10)}...`);
-          const client = new OAuth2Client(clientId);
-          const ticket = await client.verifyIdToken({
-            idToken: idToken,
-            audience: clientId
+      try {
+        const payload = await verifyGoogleIdToken(idToken, googleClientIds);
+        console.log('Google token verified successfully for audience:', String(payload.aud).substring(0, 10) + '...');
+
+        if (!payload.email || !payload.email_verified) {
+          console.log('Google auth failed: Google account email is not verified');
+          return res.status(401).json({
+            message: 'Google account email is not verified',
+            code: 'email_not_verified'
           });
-          tokenVerified = true;
-          console.log('Google token verified successfully with client ID:', clientId.substring(0, 10) + '...');
-          break; // Exit the loop once verification succeeds
-        } catch (error) {
-          verificationError = error;
-          console.log(`Verification failed with client ID ${clientId.substring(0, 10)}...: ${error.message}`);
-          // Continue to try the next client ID
         }
-      }
 
-      if (!tokenVerified) {
-        console.error('Token verification failed with all client IDs:', verificationError?.message);
-        console.log('Continuing with provided data as fallback');
-        // Continue with provided data instead of failing
+        identity = {
+          googleId: payload.sub,
+          email: payload.email,
+          name: payload.name || payload.email,
+          photoUrl: payload.picture,
+          verified: true
+        };
+      } catch (error) {
+        if (error.name !== 'GoogleTokenError') {
+          throw error;
+        }
+        console.error(`Token verification failed (${error.code}):`, error.reason);
+        if (googleAuthStrict) {
+          return res.status(401).json({ message: error.message, code: error.code });
+        }
       }
-    } else {
-      console.log('No ID token provided, skipping verification');
     }
 
+    if (!identity) {
+      // Legacy behaviour, only reachable with GOOGLE_AUTH_STRICT=false
+      console.warn('Using unverified client-supplied Google identity (strict mode disabled)');
+      identity = {
+        googleId: req.body.googleId,
+        email: req.body.email,
+        name: req.body.name,
+        photoUrl: req.body.photoUrl
+      };
+    }
+
+    const { googleId, email, name, photoUrl } = identity;
+    const verifiedIdentity = identity.verified === true;
+
     // Find or create user
     console.log(`Looking for user with googleId: ${googleId}`);
     let user = await User.findOne({ googleId });
 
+    if (!user && email) {
+      // An email/password account with the same address gets the Google
+      // identity attached instead of a duplicate account being created
+      const existingUser = await User.findOne({ email: email.toLowerCase() });
+
+      if (existingUser) {
+        if (!verifiedIdentity) {
+          console.log('Refusing to link unverified Google identity to existing account');
+          return res.status(409).json({ message: 'An account with this email already exists' });
+        }
+        if (existingUser.hasGoogleIdentity()) {
+          console.log('Existing account is linked to a different Google account');
+          return res.status(409).json({
+            message: 'This email is already linked to a different Google account',
+            code: 'google_account_mismatch'
+          });
+        }
+
+        // Anyone can register an address they don't own. Linking to such an
+        // account would let whoever set its password keep signing in after
+        // the real owner arrives through Google.
+        if (!existingUser.emailVerified) {
+          if (existingUser.password) {
+            console.log('Refusing to link Google identity to unverified password account');
+            return res.status(409).json({
+              message: 'An account with this email already exists. Verify the email address or sign in with your password first, then link Google from your account settings.',
+              code: 'account_not_verified'
+            });
+          }
+          // No one has proven they own the account yet, so sign out
+          // whoever is using it before Google takes it over
+          await revokeAllSessions(existingUser._id, 'google_linked');
+        }
+
+        console.log('Linking Google identity to existing account:', existingUser._id.toString());
+        existingUser.googleId = googleId;
+        existingUser.googleEmail = email;
+        existingUser.googleLinkedAt = new Date();
+        // Google has verified this exact address
+        if (!existingUser.emailVerified) {
+          existingUser.emailVerified = true;
+          existingUser.emailVerifiedAt = new Date();
+        }
+        if (!existingUser.photoUrl && photoUrl) {
+          existingUser.photoUrl = photoUrl;
+        }
+        user = existingUser;
+      }
+    }
+
     if (!user) {
       console.log('User not found, creating new user account');
       // Create new user if not found
       user = new User({
         googleId,
+        googleEmail: email,
+        googleLinkedAt: new Date(),
         email,
+        emailVerified: verifiedIdentity,
+        emailVerifiedAt: verifiedIdentity ? new Date() : undefined,
         name,
         photoUrl,
         platform: platform || 'unknown'
@@ -229,25 +410,31 @@ router.post('/google', async (req, res) => {
       console.log('User last login updated');
     }
 
-    // Generate JWT token
-    console.log('Generating JWT token...');
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    console.log('JWT token generated successfully');
+    // Pending invitations are claimed once sign-in is complete, which for
+    // 2FA accounts happens in /2fa/verify
+    if (user.twoFactor?.enabled) {
+      return await sendTwoFactorChallenge(res, user);
+    }
+
+    // Start a session and issue access + refresh tokens
+    console.log('Creating session...');
+    const { token, refreshToken, expiresIn } = await createSession(user, sessionContextFromRequest(req, user));
+    console.log('Session created successfully');
+    await claimPendingInvitations(user);
 
-    // Return token and user info
+    // Return tokens and user info
     console.log('Authentication successful, sending response');
     res.status(200).json({
       token,
+      refreshToken,
+      expiresIn,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         photoUrl: user.photoUrl,
-        platform: user.platform
+        platform: user.platform,
+        emailVerified: user.emailVerified
       }
     });
     console.log('Response sent');
@@ -260,6 +447,654 @@ router.post('/google', async (req, res) => {
   console.log('--------------------------------------------------');
 });
 
+// Exchange a refresh token for a new access/refresh token pair
+router.post('/refresh', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received token refresh request`);
+
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      console.log('Refresh failed: No refresh token provided');
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+
+    const rotated = await rotateRefreshToken(refreshToken, { ip: req.ip });
+    if (!rotated) {
+      console.log('Refresh failed: Invalid, expired or revoked refresh token');
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.status(200).json({
+      token: rotated.token,
+      refreshToken: rotated.refreshToken,
+      expiresIn: rotated.expiresIn
+    });
+
+    console.log('Token refreshed for session:', rotated.session._id.toString());
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({ message: 'Token refresh failed', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Log out of the current session. Accepts the refresh token so that clients
+// holding an expired access token can still sign out.
+router.post('/logout', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received logout request`);
+
+  try {
+    const { refreshToken } = req.body;
+    let sessionId = null;
+
+    if (refreshToken) {
+      const session = await Session.findOne({ refreshTokenHash: hashToken(refreshToken) });
+      sessionId = session?._id;
+    } else {
+      const token = req.headers.authorization?.split(' ')[1];
+      if (!token) {
+        console.log('Logout failed: No token provided');
+        return res.status(400).json({ message: 'Refresh token or access token is required' });
+      }
+      const { session } = await verifyAccessToken(token);
+      sessionId = session._id;
+    }
+
+    if (sessionId) {
+      await revokeSession(sessionId, 'logout');
+      console.log('Session revoked:', sessionId.toString());
+    } else {
+      console.log('No matching session found, nothing to revoke');
+    }
+
+    res.status(200).json({ message: 'Logged out successfully' });
+  } catch (error) {
+    console.error('Logout error:', error);
+    if (error.name === 'JsonWebTokenError' || error.name === 'TokenExpiredError' || error.name === 'SessionRevokedError') {
+      return res.status(401).json({ message: 'Invalid token', error: error.message });
+    }
+    res.status(500).json({ message: 'Logout failed', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Log out of every session of the current user
+router.post('/logout-all', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received logout-all request for user: ${req.user._id}`);
+
+  try {
+    const revokedCount = await revokeAllSessions(req.user._id, 'logout_all');
+    console.log(`Revoked ${revokedCount} sessions`);
+
+    res.status(200).json({
+      message: 'Logged out of all sessions',
+      revokedCount
+    });
+  } catch (error) {
+    console.error('Logout-all error:', error);
+    res.status(500).json({ message: 'Logout failed', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Request a password reset email. Always answers the same way so the
+// endpoint cannot be used to find out which emails have accounts.
+router.post('/forgot-password', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received forgot-password request`);
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      console.log('Forgot-password failed: Missing email');
+      return res.status(400).json({ message: 'Email is required' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() });
+
+    if (!user) {
+      console.log('No user found for email, not sending reset mail');
+    } else if (!user.password) {
+      console.log('User has no password, sending Google Sign-In hint');
+      await sendMail({
+        to: user.email,
+        subject: 'Signing in to your account',
+        text: `Hi ${user.name},\n\nSomeone asked to reset the password for this account, but it does not use a password. Please sign in with Google instead.\n\nIf this wasn't you, you can ignore this email.`
+      });
+    } else {
+      const token = await issueUserToken(user._id, 'password_reset', PASSWORD_RESET_TTL_MINUTES);
+      await sendMail({
+        to: user.email,
+        subject: 'Reset your password',
+        text: `Hi ${user.name},\n\nUse the link below to choose a new password. It expires in ${PASSWORD_RESET_TTL_MINUTES} minutes and can only be used once.\n\n${appUrl('/reset-password', { token })}\n\nIf you didn't ask for this, you can ignore this email.`
+      });
+      console.log('Password reset token issued for user:', user._id.toString());
+    }
+
+    res.status(200).json({ message: 'If an account exists for this email, a reset link has been sent' });
+  } catch (error) {
+    console.error('Forgot-password error:', error);
+    res.status(500).json({ message: 'Failed to process password reset request', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Set a new password with a reset token and sign out every session
+router.post('/reset-password', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received reset-password request`);
+
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      console.log('Reset failed: Missing token or password');
+      return res.status(400).json({ message: 'Token and new password are required' });
+    }
+
+    // Check the policy before the single-use token is spent
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length > 0) {
+      console.log('Reset failed: Password does not meet policy');
+      return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+    }
+
+    const resetToken = await consumeUserToken(token, 'password_reset');
+    if (!resetToken) {
+      console.log('Reset failed: Invalid, expired or used token');
+      return res.status(400).json({ message: 'Reset link is invalid or has expired' });
+    }
+
+    const user = await User.findById(resetToken.user);
+    if (!user) {
+      console.log('Reset failed: User not found');
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    user.password = await hashPassword(password);
+    await user.save();
+
+    const revokedCount = await revokeAllSessions(user._id, 'password_reset');
+    console.log(`Password reset for user ${user._id}, revoked ${revokedCount} sessions`);
+
+    res.status(200).json({ message: 'Password has been reset, please sign in again' });
+  } catch (error) {
+    console.error('Reset-password error:', error);
+    res.status(500).json({ message: 'Failed to reset password', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received verify-email request`);
+
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      console.log('Verification failed: Missing token');
+      return res.status(400).json({ message: 'Verification token is required' });
+    }
+
+    const verificationToken = await consumeUserToken(token, 'email_verification');
+    if (!verificationToken) {
+      console.log('Verification failed: Invalid, expired or used token');
+      return res.status(400).json({ message: 'Verification link is invalid or has expired' });
+    }
+
+    const user = await User.findById(verificationToken.user);
+    if (!user) {
+      console.log('Verification failed: User not found');
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save();
+    }
+    console.log('Email verified for user:', user._id.toString());
+
+    // Groups that invited this address before the account existed
+    await claimPendingInvitations(user);
+
+    res.status(200).json({ message: 'Email verified successfully', emailVerified: true });
+  } catch (error) {
+    console.error('Verify-email error:', error);
+    res.status(500).json({ message: 'Failed to verify email', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Send another verification email to the current user
+router.post('/verify-email/resend', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Resend verification request for user: ${req.user._id}`);
+
+  try {
+    if (req.user.emailVerified) {
+      console.log('Email already verified');
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({ message: 'Verification email sent' });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Failed to send verification email', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Complete a sign-in that requires 2FA by exchanging the challenge token
+router.post('/2fa/verify', async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Received 2FA verification request`);
+
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      console.log('2FA verification failed: Missing challenge token or code');
+      return res.status(400).json({ message: 'Challenge token and code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyChallengeToken(challengeToken);
+    } catch (error) {
+      console.log('2FA verification failed: Invalid challenge token:', error.message);
+      return res.status(401).json({ message: 'Sign-in challenge is invalid or has expired' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user || !user.twoFactor?.enabled) {
+      console.log('2FA verification failed: User not found or 2FA not enabled');
+      return res.status(401).json({ message: 'Sign-in challenge is invalid or has expired' });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const attempt = { email: user.email, ip: req.ip, userAgent: req.get('user-agent') };
+    const retryAfter = await loginThrottle.getRetryAfter(attempt);
+    if (retryAfter > 0) {
+      console.log(`2FA verification blocked: Locked out for another ${retryAfter}s`);
+      await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'locked_out' });
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        message: 'Too many failed login attempts, please try again later',
+        retryAfter
+      });
+    }
+
+    const challenge = await reserveUserTokenAttempt(decoded.jti, 'two_factor_challenge', TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS);
+    if (!challenge || challenge.user.toString() !== user._id.toString()) {
+      console.log('2FA verification failed: Challenge used, replaced, expired or locked');
+      return res.status(401).json({ message: 'Sign-in challenge is invalid or has expired, please sign in again' });
+    }
+
+    if (!checkSecondFactor(user, { code, recoveryCode })) {
+      console.log('2FA verification failed: Invalid code');
+      await loginThrottle.recordFailure(attempt);
+      await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'invalid_two_factor_code' });
+      return res.status(401).json({
+        message: 'Invalid authentication code',
+        attemptsRemaining: TWO_FACTOR_CHALLENGE_MAX_ATTEMPTS - challenge.attempts
+      });
+    }
+
+    // A challenge signs in once; a parallel request may have used it already
+    if (!(await consumeUserToken(decoded.jti, 'two_factor_challenge'))) {
+      console.log('2FA verification failed: Challenge already used');
+      return res.status(401).json({ message: 'Sign-in challenge is invalid or has expired, please sign in again' });
+    }
+    await user.save();
+
+    const { token, refreshToken, expiresIn } = await createSession(user, sessionContextFromRequest(req, user));
+    await loginThrottle.recordSuccess(attempt);
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: true, reason: 'success' });
+    await claimPendingInvitations(user);
+
+    res.status(200).json({
+      token,
+      refreshToken,
+      expiresIn,
+      recoveryCodesRemaining: user.twoFactor.recoveryCodes.length,
+      user: {
+        id: user._id,
+        name: user.name,
+        email: user.email,
+        photoUrl: user.photoUrl,
+        platform: user.platform,
+        emailVerified: user.emailVerified
+      }
+    });
+
+    console.log('2FA verification successful for user:', user._id.toString());
+  } catch (error) {
+    console.error('2FA verification error:', error);
+    res.status(500).json({ message: 'Two-factor verification failed', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Start 2FA enrolment: generate a secret for the authenticator app
+router.post('/2fa/setup', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] 2FA setup request for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      console.log('2FA setup failed: Already enabled');
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = totp.generateSecret();
+    user.twoFactor.pendingSecret = secret;
+    await user.save();
+
+    res.status(200).json({
+      secret,
+      otpauthUrl: totp.buildOtpauthUrl({
+        secret,
+        accountName: user.email,
+        issuer: TWO_FACTOR_ISSUER
+      })
+    });
+
+    console.log('2FA secret generated for user:', user._id.toString());
+  } catch (error) {
+    console.error('2FA setup error:', error);
+    res.status(500).json({ message: 'Failed to start two-factor setup', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Finish enrolment by confirming a code from the authenticator app
+router.post('/2fa/enable', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] 2FA enable request for user: ${req.user._id}`);
+
+  try {
+    const { code } = req.body;
+    const user = req.user;
+
+    if (user.twoFactor?.enabled) {
+      console.log('2FA enable failed: Already enabled');
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    if (!user.twoFactor?.pendingSecret) {
+      console.log('2FA enable failed: Setup not started');
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = totp.verifyCode(user.twoFactor.pendingSecret, code);
+    if (step === null) {
+      console.log('2FA enable failed: Invalid code');
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    res.status(200).json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes: codes
+    });
+
+    console.log('2FA enabled for user:', user._id.toString());
+  } catch (error) {
+    console.error('2FA enable error:', error);
+    res.status(500).json({ message: 'Failed to enable two-factor authentication', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Replace the recovery codes, invalidating the old ones
+router.post('/2fa/recovery-codes', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] 2FA recovery codes request for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      console.log('Recovery codes failed: 2FA not enabled');
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const failure = await confirmSecondFactor(user, { code: req.body.code }, { ip: req.ip, userAgent: req.get('user-agent') });
+    if (failure) {
+      console.log('Recovery codes failed: Second factor not confirmed');
+      return sendReauthFailure(res, failure);
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodes = hashes;
+    await user.save();
+
+    res.status(200).json({ recoveryCodes: codes });
+    console.log('Recovery codes regenerated for user:', user._id.toString());
+  } catch (error) {
+    console.error('Recovery codes error:', error);
+    res.status(500).json({ message: 'Failed to regenerate recovery codes', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Turn 2FA off; requires the current password or a fresh Google sign-in,
+// plus a current code or a recovery code
+router.post('/2fa/disable', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] 2FA disable request for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+
+    if (!user.twoFactor?.enabled) {
+      console.log('2FA disable failed: Not enabled');
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    const failure = await confirmIdentity(user, req.body, { ip: req.ip, userAgent: req.get('user-agent') });
+    if (failure) {
+      console.log('2FA disable failed: Identity not confirmed');
+      return sendReauthFailure(res, failure);
+    }
+
+    user.twoFactor = { enabled: false };
+    await user.save();
+
+    res.status(200).json({ message: 'Two-factor authentication disabled' });
+    console.log('2FA disabled for user:', user._id.toString());
+  } catch (error) {
+    console.error('2FA disable error:', error);
+    res.status(500).json({ message: 'Failed to disable two-factor authentication', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// List the sign-in methods linked to the current account
+router.get('/identities', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Identities request for user: ${req.user._id}`);
+
+  try {
+    res.status(200).json({ identities: req.user.getSignInMethods() });
+    console.log('Identities response sent');
+  } catch (error) {
+    console.error('Identities fetch error:', error);
+    res.status(500).json({ message: 'Failed to load sign-in methods', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Link a sign-in method to the current account
+router.post('/identities/:provider', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Link ${req.params.provider} identity request for user: ${req.user._id}`);
+
+  try {
+    const { provider } = req.params;
+    const user = req.user;
+    let passwordAdded = false;
+
+    if (provider === 'google') {
+      const { idToken } = req.body;
+
+      if (!idToken) {
+        console.log('Link failed: No ID token provided');
+        return res.status(400).json({ message: 'Google ID token is required' });
+      }
+
+      if (user.hasGoogleIdentity()) {
+        console.log('Link failed: Google account already linked');
+        return res.status(400).json({ message: 'A Google account is already linked' });
+      }
+
+      let payload;
+      try {
+        payload = await verifyGoogleIdToken(idToken, googleClientIds);
+      } catch (error) {
+        if (error.name !== 'GoogleTokenError') {
+          throw error;
+        }
+        console.log(`Link failed: Token verification failed (${error.code})`);
+        return res.status(401).json({ message: error.message, code: error.code });
+      }
+
+      // googleEmail is trusted as verified, e.g. when claiming invitations
+      if (!payload.email || !payload.email_verified) {
+        console.log('Link failed: Google account email is not verified');
+        return res.status(401).json({
+          message: 'Google account email is not verified',
+          code: 'email_not_verified'
+        });
+      }
+
+      const owner = await User.findOne({ googleId: payload.sub });
+      if (owner) {
+        console.log('Link failed: Google account belongs to another user');
+        return res.status(409).json({ message: 'This Google account is linked to another user' });
+      }
+
+      user.googleId = payload.sub;
+      user.googleEmail = payload.email;
+      user.googleLinkedAt = new Date();
+    } else if (provider === 'password') {
+      const { password } = req.body;
+
+      if (!password) {
+        console.log('Link failed: No password provided');
+        return res.status(400).json({ message: 'Password is required' });
+      }
+
+      if (user.password) {
+        console.log('Link failed: Password already set');
+        return res.status(400).json({ message: 'A password is already set for this account' });
+      }
+
+      const passwordErrors = validatePassword(password, { email: user.email });
+      if (passwordErrors.length > 0) {
+        console.log('Link failed: Password does not meet policy');
+        return res.status(400).json({ message: passwordErrors[0], errors: passwordErrors });
+      }
+
+      user.password = await hashPassword(password);
+      passwordAdded = true;
+    } else {
+      console.log('Link failed: Unknown provider');
+      return res.status(400).json({ message: 'Unknown sign-in method' });
+    }
+
+    await user.save();
+    console.log(`Linked ${provider} identity for user:`, user._id.toString());
+
+    // A new password signs out every other device, as a password change does
+    if (passwordAdded) {
+      await revokeAllSessions(user._id, 'password_changed', req.authSession._id);
+    }
+
+    res.status(200).json({
+      message: 'Sign-in method linked successfully',
+      identities: user.getSignInMethods()
+    });
+  } catch (error) {
+    console.error('Link identity error:', error);
+    res.status(500).json({ message: 'Failed to link sign-in method', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Unlink a sign-in method, keeping at least one in place. Needs the
+// current password or a fresh Google sign-in, plus 2FA when enabled.
+router.delete('/identities/:provider', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Unlink ${req.params.provider} identity request for user: ${req.user._id}`);
+
+  try {
+    const { provider } = req.params;
+    const user = req.user;
+    const methods = user.getSignInMethods();
+
+    if (!methods.some(method => method.provider === provider)) {
+      console.log('Unlink failed: Method not linked');
+      return res.status(404).json({ message: 'Sign-in method is not linked' });
+    }
+
+    if (methods.length <= 1) {
+      console.log('Unlink failed: Last sign-in method');
+      return res.status(400).json({ message: 'You cannot remove your last sign-in method' });
+    }
+
+    const failure = await confirmIdentity(user, req.body, { ip: req.ip, userAgent: req.get('user-agent') });
+    if (failure) {
+      return sendReauthFailure(res, failure);
+    }
+
+    if (provider === 'google') {
+      user.googleId = undefined;
+      user.googleEmail = undefined;
+      user.googleLinkedAt = undefined;
+    } else {
+      user.password = undefined;
+    }
+
+    await user.save();
+    console.log(`Unlinked ${provider} identity for user:`, user._id.toString());
+
+    // Devices signed in with the removed method are signed out
+    const revokedCount = await revokeAllSessions(user._id, 'identity_removed', req.authSession._id);
+    console.log(`Revoked ${revokedCount} other sessions`);
+
+    res.status(200).json({
+      message: 'Sign-in method removed successfully',
+      identities: user.getSignInMethods(),
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Unlink identity error:', error);
+    res.status(500).json({ message: 'Failed to remove sign-in method', error: error.message });
+  }
+  console.log('--------------------------------------------------');
+});
+
 // Verify token and get user data
 router.get('/user', async (req, res) => {
   console.log('--------------------------------------------------');
@@ -276,7 +1111,7 @@ router.get('/user', async (req, res) => {
     }
 
     console.log('Verifying JWT token...');
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const { decoded } = await verifyAccessToken(token);
     console.log('Token verified, userId:', decoded.userId);
     
     console.log('Finding user in database...');
@@ -294,7 +1129,8 @@ router.get('/user', async (req, res) => {
         name: user.name,
         email: user.email,
         photoUrl: user.photoUrl,
-        platform: user.platform
+        platform: user.platform,
+        emailVerified: user.emailVerified
       }
     });
     
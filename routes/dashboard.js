@@ -3,191 +3,51 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const authMiddleware = require('../middleware/auth');
+const groupWritable = require('../middleware/groupWritable');
 const User = require('../models/User');
 const Group = require('../models/Group');
 const Expense = require('../models/Expense');
-const Notification = require('../models/Notification'); // Add this import at the top
+const { canManageExpenses, isGroupAdmin, isActiveMember } = require('../utils/groupAccess');
+const { debtsOf, settleShare, simplifyDebts } = require('../utils/balances');
+const { recordActivity, snapshotExpense } = require('../utils/activity');
+const {
+  buildSplits,
+  buildItemization,
+  expenseAmountMinor,
+  buildPayers,
+  payersOf,
+  primaryPayerOf,
+  splitInputsFromExpense,
+  SplitError
+} = require('../utils/splits');
+const {
+  currencyError,
+  picksParticipants,
+  pickedParticipantIds,
+  resolveExpenseDefaults
+} = require('../utils/groupSettings');
+const { toMinor, fromMinor, formatMinor, allocate } = require('../utils/money');
+const {
+  createExpense,
+  createdExpensePayload,
+  formatExpense,
+  notifyExpenseMembers,
+  summarizePaidExpenses
+} = require('../utils/expenses');
 
 // Import route modules
 const groupRoutes = require('./dashboard/groups');
 const expenseRoutes = require('./dashboard/expenses');
 const balanceRoutes = require('./dashboard/balances');
-const notificationRoutes = require('./dashboard/notifications'); // Add this import
+const notificationRoutes = require('./dashboard/notifications');
+const recurringRoutes = require('./dashboard/recurring');
 
 // Mount routes
 router.use('/groups', groupRoutes);
 router.use('/expenses', expenseRoutes);
 router.use('/balances', balanceRoutes);
 router.use('/notifications', notificationRoutes); // Mount notification routes
-
-const Notification = require('../models/Notification'); // Add this import at the top
-
-router.post('/groups/:groupId/invite', authMiddleware, async (req, res) => {
-  console.log('--------------------------------------------------');
-  console.log(`[${new Date().toISOString()}] Invite member request for group: ${req.params.groupId}`);
-
-  try {
-    const { groupId } = req.params;
-    const { email } = req.body;
-    const userId = req.user._id;
-
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      console.log('Invalid group ID format');
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid group ID'
-      });
-    }
-
-    // Find the group with populated admin data
-    const group = await Group.findById(groupId).populate('admin', 'name email');
-    if (!group) {
-      console.log('Group not found');
-      return res.status(404).json({
-        success: false,
-        message: 'Group not found'
-      });
-    }
-
-    // Check if the user is the admin of the group
-    if (group.admin._id.toString() !== userId.toString()) {
-      console.log('User not authorized to invite members');
-      return res.status(403).json({
-        success: false,
-        message: 'Only the group admin can invite members'
-      });
-    }
-
-    // Find the user by email
-    const userToInvite = await User.findOne({ email: email.toLowerCase() });
-    if (!userToInvite) {
-      console.log('User not found');
-      return res.status(404).json({
-        success: false,
-        message: 'User not found'
-      });
-    }
-
-    // Check if the user is already a member of the group
-    const isAlreadyMember = group.members.some(member => 
-      member.user.toString() === userToInvite._id.toString()
-    );
-    
-    if (isAlreadyMember) {
-      console.log('User is already a member of the group');
-      return res.status(400).json({
-        success: false,
-        message: 'User is already a member of the group'
-      });
-    }
-
-    // Add the user to the group's members list with a 'pending' status
-    group.members.push({
-      user: userToInvite._id,
-      status: 'pending',
-      role: 'member'
-    });
-
-    // Create notification for the invited user
-    const notificationMessage = `${group.admin.name} invited you to join group "${group.name}"`;
-    
-    const notification = new Notification({
-      recipient: userToInvite._id,
-      sender: userId,
-      type: 'group_invite',
-      message: notificationMessage,
-      relatedGroup: groupId
-    });
-
-    // Save both the group update and the new notification
-    await Promise.all([
-      group.save(),
-      notification.save()
-    ]);
-    
-    console.log(`User ${userToInvite._id} invited to group ${groupId} and notification created`);
-
-    res.status(200).json({
-      success: true,
-      message: 'Invitation sent successfully'
-    });
-
-    console.log('Invite member response sent successfully');
-  } catch (error) {
-    console.error('Invite member error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to send invitation',
-      error: error.message
-    });
-    console.log('Error response sent');
-  }
-  console.log('--------------------------------------------------');
-});
-
-// Get all groups for a user
-router.get('/groups', authMiddleware, async (req, res) => {
-  console.log('--------------------------------------------------');
-  console.log(`[${new Date().toISOString()}] Groups request for user: ${req.user._id}`);
-  
-  try {
-    const userId = req.user._id;
-    console.log('Finding groups for user ID:', userId);
-    
-    // Find groups where user is admin
-    const adminGroups = await Group.find({ admin: userId });
-    console.log(`Found ${adminGroups.length} groups where user is admin`);
-    
-    // Find groups where user is a member with 'active' OR 'pending' status
-    const memberGroups = await Group.find({
-      'members.user': userId,
-      'members.status': { $in: ['active', 'pending'] }
-    });
-    console.log(`Found ${memberGroups.length} groups where user is member`);
-    
-    // Combine and remove duplicates (in case user is both admin and member)
-    const allGroups = [...adminGroups];
-    memberGroups.forEach(group => {
-      if (!allGroups.find(g => g._id.toString() === group._id.toString())) {
-        allGroups.push(group);
-      }
-    });
-    
-    console.log(`Total unique groups: ${allGroups.length}`);
-    console.log('Sending groups response');
-    
-    res.status(200).json({
-      success: true,
-      groups: allGroups.map(group => ({
-        _id: group._id,
-        name: group.name,
-        description: group.description,
-        photoUrl: group.photoUrl,
-        memberCount: group.memberCount,
-        isAdmin: group.admin.toString() === userId.toString(),
-        // Add member status so frontend can show pending invitations
-        memberStatus: group.admin.toString() === userId.toString() 
-          ? 'admin' 
-          : group.members.find(m => m.user.toString() === userId.toString())?.status || 'unknown'
-      }))
-    });
-    
-    console.log('Groups response sent successfully');
-  } catch (error) {
-    console.error('Groups fetch error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to load groups',
-      error: error.message
-    });
-    console.log('Error response sent');
-  }
-  console.log('--------------------------------------------------');
-});
-
-
+router.use('/groups/:groupId/recurring', recurringRoutes);
 
 // Get user expenses and balance
 // Get user expenses and balance
@@ -199,36 +59,15 @@ router.get('/user/expenses', authMiddleware, async (req, res) => {
     const userId = req.user._id;
 
     // Fetch user's expenses
-    const expenses = await Expense.find({ paidBy: userId })
+    const expenses = await Expense.find({ $or: [{ paidBy: userId }, { 'payers.user': userId }] })
       .populate('group', 'name photoUrl')
       .sort({ date: -1 });
 
-    // Calculate total amount (income - expenses)
-    let totalAmount = 0;
-    const formattedExpenses = expenses.map((expense) => {
-      const amount = expense.amount;
-      totalAmount += amount; // Add to total amount
-      return {
-        _id: expense._id,
-        description: expense.description,
-        amount: amount, // Positive for income, negative for expenses
-        group: {
-          _id: expense.group._id,
-          name: expense.group.name,
-          photoUrl: expense.group.photoUrl,
-        },
-        date: expense.date,
-        category: expense.category,
-        notes: expense.notes,
-      };
-    });
-
     console.log(`Found ${expenses.length} expenses for user ${userId}`);
 
     res.status(200).json({
       success: true,
-      totalAmount: totalAmount, // Total amount (income - expenses)
-      expenses: formattedExpenses,
+      ...summarizePaidExpenses(expenses, req.user)
     });
 
     console.log('User expenses and balance response sent successfully');
@@ -245,111 +84,16 @@ router.get('/user/expenses', authMiddleware, async (req, res) => {
   console.log('--------------------------------------------------');
 });
 
-// Create a new group
-router.post('/groups/create', authMiddleware, async (req, res) => {
-  console.log('--------------------------------------------------');
-  console.log(`[${new Date().toISOString()}] Create group request from user: ${req.user._id}`);
-  console.log('Request body:', {
-    name: req.body.name,
-    description: req.body.description,
-    memberCount: req.body.members ? req.body.members.length : 0
-  });
-  
-  try {
-    const { name, description, members } = req.body;
-    const userId = req.user._id;
-    
-    if (!name) {
-      console.log('Group name is required');
-      return res.status(400).json({
-        success: false,
-        message: 'Group name is required'
-      });
-    }
-    
-    // Create new group with current user as admin
-    const newGroup = new Group({
-      name,
-      description,
-      admin: userId,
-      members: [] // Initialize empty members array
-    });
-    
-    // Process invited members if any
-    if (members && members.length > 0) {
-      console.log(`Processing ${members.length} member invitations`);
-      
-      // Find users by email
-      const invitedMembers = [];
-      for (const email of members) {
-        const user = await User.findOne({ email: email.toLowerCase() });
-        if (user && user._id.toString() !== userId.toString()) {
-          console.log(`Found user for email ${email}`);
-          invitedMembers.push({
-            user: user._id,
-            status: 'pending',
-            role: 'member'
-          });
-          
-          // Update user's groups array
-          await User.findByIdAndUpdate(user._id, {
-            $addToSet: { groups: newGroup._id }
-          });
-        } else if (!user) {
-          console.log(`No user found for email ${email}`);
-        } else {
-          console.log(`Skipping self-invite for ${email}`);
-        }
-      }
-      
-      newGroup.members = invitedMembers;
-    }
-    
-    // Save the new group
-    await newGroup.save();
-    console.log(`New group created with ID: ${newGroup._id}`);
-    
-    // Add group to user's groups array
-    await User.findByIdAndUpdate(userId, {
-      $addToSet: { groups: newGroup._id }
-    });
-    console.log(`Group added to user's groups array`);
-    
-    res.status(201).json({
-      success: true,
-      message: 'Group created successfully',
-      group: {
-        _id: newGroup._id,
-        name: newGroup.name,
-        description: newGroup.description,
-        memberCount: newGroup.memberCount,
-        isAdmin: true
-      }
-    });
-    
-    console.log('Create group response sent successfully');
-  } catch (error) {
-    console.error('Group creation error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to create group',
-      error: error.message
-    });
-    console.log('Error response sent');
-  }
+// Update the route for adding expense to a group
+router.post('/groups/:groupId/expenses', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
-});
+  console.log(`[${new Date().toISOString()}] Add expense request for group: ${req.params.groupId}`);
+  console.log('Request body:', req.body);
 
-// Get group details
-router.get('/groups/:groupId', authMiddleware, async (req, res) => {
-  console.log('--------------------------------------------------');
-  console.log(`[${new Date().toISOString()}] Group details request for: ${req.params.groupId}`);
-  
   try {
     const { groupId } = req.params;
     const userId = req.user._id;
-    
+
     if (!mongoose.Types.ObjectId.isValid(groupId)) {
       console.log('Invalid group ID format');
       return res.status(400).json({
@@ -357,12 +101,9 @@ router.get('/groups/:groupId', authMiddleware, async (req, res) => {
         message: 'Invalid group ID'
       });
     }
-    
-    // Find the group and populate admin and members
-    const group = await Group.findById(groupId)
-      .populate('admin', 'name email photoUrl')
-      .populate('members.user', 'name email photoUrl');
-    
+
+    // Find the group
+    const group = await Group.findById(groupId);
     if (!group) {
       console.log('Group not found');
       return res.status(404).json({
@@ -370,57 +111,51 @@ router.get('/groups/:groupId', authMiddleware, async (req, res) => {
         message: 'Group not found'
       });
     }
-    
-    // Check if user is admin or member
-    const isAdmin = group.admin._id.toString() === userId.toString();
-    const isMember = group.members.some(
-      member => member.user._id.toString() === userId.toString() && member.status === 'active'
-    );
-    
-    if (!isAdmin && !isMember) {
-      console.log('User not authorized to view this group');
+
+    // Check if user is admin or active member
+    if (!isActiveMember(group, userId)) {
+      console.log('User not authorized to add expense');
       return res.status(403).json({
         success: false,
-        message: 'You do not have access to this group'
+        message: 'You do not have access to add expenses to this group'
       });
     }
-    
-    console.log('Group found, sending response');
-    res.status(200).json({
-      success: true,
-      group: {
-        _id: group._id,
-        name: group.name,
-        description: group.description,
-        photoUrl: group.photoUrl,
-        admin: {
-          _id: group.admin._id,
-          name: group.admin.name,
-          email: group.admin.email,
-          photoUrl: group.admin.photoUrl
-        },
-        members: group.members.map(member => ({
-          _id: member.user._id,
-          name: member.user.name,
-          email: member.user.email,
-          photoUrl: member.user.photoUrl,
-          status: member.status,
-          role: member.role
-        })),
-        totalExpenses: group.totalExpenses,
-        createdAt: group.createdAt,
-        memberCount: group.memberCount,
-        isAdmin
+
+    if (!canManageExpenses(group, userId, 'add')) {
+      console.log('Group settings do not let members add expenses');
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add expenses to this group'
+      });
+    }
+
+    let expense;
+    try {
+      expense = await createExpense(group, req.body, req.user);
+    } catch (error) {
+      if (!(error instanceof SplitError)) {
+        throw error;
       }
+      console.log('Invalid expense:', error.message);
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Expense added successfully',
+      expense: createdExpensePayload(expense)
     });
-    
-    console.log('Group details response sent successfully');
+
+    console.log('Add expense response sent successfully');
   } catch (error) {
-    console.error('Group details fetch error:', error);
+    console.error('Add expense error:', error);
     console.error('Error stack:', error.stack);
     res.status(500).json({ 
       success: false, 
-      message: 'Failed to load group details',
+      message: 'Failed to add expense',
       error: error.message
     });
     console.log('Error response sent');
@@ -428,169 +163,417 @@ router.get('/groups/:groupId', authMiddleware, async (req, res) => {
   console.log('--------------------------------------------------');
 });
 
-// Update the route for adding expense to a group
-router.post('/groups/:groupId/expenses', authMiddleware, async (req, res) => {
+// Splits that have been settled, in full or with some of the payers, other
+// than a sole payer's own share. Changing or removing these would
+// contradict a payment that already happened.
+const settledSplitsOf = (expense) => {
+  const payerIds = payersOf(expense).map(payer => payer.user);
+  const solePayer = payerIds.length === 1 ? payerIds[0] : null;
+  return expense.splitAmong.filter(split =>
+    (split.settled || split.settledWith.length > 0) && split.user.toString() !== solePayer
+  );
+};
+
+// Edit an expense. The payer (if group settings allow members to edit) or a
+// group admin may change it. Changes to the amount, payer or splits are
+// refused when someone has already settled their share, unless `force` is
+// set; their share is then reopened.
+router.patch('/groups/:groupId/expenses/:expenseId', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
-  console.log(`[${new Date().toISOString()}] Add expense request for group: ${req.params.groupId}`);
+  console.log(`[${new Date().toISOString()}] Edit expense ${req.params.expenseId} in group: ${req.params.groupId}`);
   console.log('Request body:', req.body);
 
   try {
-    const { groupId } = req.params;
-    const { 
-      description, 
-      amount, 
-      splitAmong, 
-      splitAmounts, 
+    const { groupId, expenseId } = req.params;
+    const {
+      description,
+      amount,
+      currency,
+      paidBy,
+      payers,
       splitType,
-      category, 
-      notes, 
-      date, 
-      paidBy 
+      splitAmong,
+      splitAmounts,
+      splitPercentages,
+      splitShares,
+      items,
+      tax,
+      serviceCharge,
+      tip,
+      category,
+      notes,
+      date,
+      force
     } = req.body;
-    
     const userId = req.user._id;
 
-    if (!mongoose.Types.ObjectId.isValid(groupId)) {
-      console.log('Invalid group ID format');
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(expenseId)) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid group ID'
+        message: 'Invalid ID format'
       });
     }
 
-    if (!description || !amount || amount <= 0) {
-      console.log('Invalid expense data');
-      return res.status(400).json({
+    const [group, expense] = await Promise.all([
+      Group.findById(groupId),
+      Expense.findOne({ _id: expenseId, group: groupId })
+    ]);
+
+    if (!group || !expense) {
+      return res.status(404).json({
         success: false,
-        message: 'Description and amount (greater than 0) are required'
+        message: group ? 'Expense not found' : 'Group not found'
       });
     }
 
-    // Find the group
-    const group = await Group.findById(groupId)
-      .populate('admin', 'name email photoUrl')
-      .populate('members.user', 'name email photoUrl');
+    const isPayer = payersOf(expense).some(payer => payer.user === userId.toString());
+    if (!isGroupAdmin(group, userId) && !(isPayer && canManageExpenses(group, userId, 'edit'))) {
+      console.log('User not allowed to edit this expense');
+      return res.status(403).json({
+        success: false,
+        message: 'Only the payer or a group admin can edit this expense'
+      });
+    }
 
-    if (!group) {
-      console.log('Group not found');
-      return res.status(404).json({
+    if (expense.category === 'Settlement') {
+      return res.status(400).json({
         success: false,
-        message: 'Group not found'
+        message: 'Settlement records cannot be edited'
       });
     }
 
-    // Check if user is admin or active member
-    const isAdmin = group.admin._id.toString() === userId.toString();
-    const isMember = group.members.some(
-      member => member.user._id.toString() === userId.toString() && member.status === 'active'
-    );
+    if (description !== undefined && !String(description).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Description cannot be empty'
+      });
+    }
 
-    if (!isAdmin && !isMember) {
-      console.log('User not authorized to add expense');
-      return res.status(403).json({
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({
         success: false,
-        message: 'You do not have access to add expenses to this group'
+        message: 'Amount must be greater than 0'
       });
     }
 
-    // Get group members including admin
-    const allMembers = [
-      { _id: group.admin._id.toString() },
-      ...group.members
-        .filter(member => member.status === 'active')
-        .map(member => ({ _id: member.user._id.toString() }))
-    ];
-
-    // Determine who to split the expense among
-    let membersToSplit = allMembers;
-    if (splitAmong && splitAmong.length > 0) {
-      // Only split among selected members
-      membersToSplit = allMembers.filter(member => 
-        splitAmong.includes(member._id.toString())
-      );
+    const currencyProblem = currencyError(group, currency);
+    if (currencyProblem) {
+      return res.status(400).json({
+        success: false,
+        message: currencyProblem
+      });
     }
 
-    if (membersToSplit.length === 0) {
-      console.log('No valid members to split expense among');
+    if (date !== undefined && isNaN(new Date(date))) {
       return res.status(400).json({
         success: false,
-        message: 'No valid members to split expense among'
+        message: 'Invalid date'
       });
     }
 
-    // Create split details based on splitType
-    let splitDetails = [];
-    
-    if (splitType === 'unequal' && splitAmounts) {
-      // For unequal split, use the provided split amounts
-      splitDetails = splitAmong.map(memberId => ({
-        user: memberId,
-        amount: splitAmounts[memberId] || 0,
-        settled: memberId === paidBy // Mark as settled if this is the payer
-      }));
-    } else {
-      // For equal split, calculate equal amounts
-      const splitAmount = parseFloat((amount / membersToSplit.length).toFixed(2));
-      splitDetails = membersToSplit.map(member => ({
-        user: member._id,
-        amount: splitAmount,
-        settled: member._id.toString() === paidBy // Mark as settled if this is the payer
-      }));
+    if (paidBy !== undefined && !isActiveMember(group, paidBy)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The payer must be an active member of the group'
+      });
     }
 
-    // Create expense record
-    const expense = new Expense({
-      group: groupId,
+    const before = snapshotExpense(expense);
+    const previousAmountMinor = expense.amountMinor;
+    const reopenedSplits = [];
+
+    // A new currency can change the size of the minor unit, so the stored
+    // amounts are converted along with it
+    const splitInputs = { splitAmounts, splitPercentages, splitShares, items, tax, serviceCharge, tip };
+    const affectsSplits = [amount, currency, paidBy, payers, splitType, splitAmong, ...Object.values(splitInputs)]
+      .some(value => value !== undefined);
+    if (affectsSplits) {
+      const newCurrency = currency !== undefined ? currency.trim().toUpperCase() : expense.currency;
+      const newSplitType = splitType || expense.splitType;
+
+      // Without a new member list the expense stays with the same people,
+      // including anyone who has since left the group
+      const previousParticipantIds = expense.splitAmong.map(split => split.user.toString());
+      let participantIds = previousParticipantIds;
+
+      // Keeping the split type reuses the amounts, percentages or shares it
+      // was split with unless new ones are sent
+      const previousInputs = newSplitType === expense.splitType ? splitInputsFromExpense(expense) : {};
+
+      // New payers replace the old ones and a new paidBy becomes the only
+      // payer. Otherwise the same people paid, in the same proportions.
+      const previousPayers = payersOf(expense);
+      let newAmountMinor;
+      let itemization = null;
+      let newPayers;
+      let newSplits;
+      try {
+        if (picksParticipants(splitAmong)) {
+          participantIds = pickedParticipantIds(group, splitAmong);
+        }
+
+        // Items may stay with members who have since left the group
+        if (newSplitType === 'itemized') {
+          itemization = buildItemization({
+            items: items || previousInputs.items,
+            tax: tax ?? previousInputs.tax,
+            serviceCharge: serviceCharge ?? previousInputs.serviceCharge,
+            tip: tip ?? previousInputs.tip,
+            currency: newCurrency,
+            memberIds: [...new Set([...resolveExpenseDefaults(group, {}).memberIds, ...previousParticipantIds])]
+          });
+          participantIds = itemization.participantIds;
+        }
+
+        // Without a new amount the expense keeps its own, or follows its items
+        newAmountMinor = expenseAmountMinor({
+          amount: amount !== undefined || itemization ? amount : expense.amount,
+          currency: newCurrency,
+          itemization
+        });
+
+        if (payers !== undefined) {
+          newPayers = buildPayers({ payers, amountMinor: newAmountMinor, currency: newCurrency });
+          if (newPayers.some(payer => !isActiveMember(group, payer.user))) {
+            throw new SplitError('Every payer must be an active member of the group');
+          }
+        } else if (paidBy !== undefined) {
+          newPayers = [{ user: paidBy.toString(), amountMinor: newAmountMinor }];
+        } else {
+          const paidParts = allocate(newAmountMinor, previousPayers.map(payer => payer.amountMinor));
+          newPayers = previousPayers.map((payer, index) => ({ user: payer.user, amountMinor: paidParts[index] }));
+        }
+
+        newSplits = buildSplits({
+          amountMinor: newAmountMinor,
+          currency: newCurrency,
+          splitType: newSplitType,
+          participantIds,
+          splitAmounts: splitAmounts || previousInputs.splitAmounts,
+          splitPercentages: splitPercentages || previousInputs.splitPercentages,
+          splitShares: splitShares || previousInputs.splitShares,
+          itemization,
+          payerIds: newPayers.map(payer => payer.user)
+        });
+      } catch (error) {
+        if (!(error instanceof SplitError)) {
+          throw error;
+        }
+        console.log('Invalid split:', error.message);
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      // A settled share survives the edit only if the same payers are owed
+      // the same amount by the same person
+      const payerChanged = newPayers.length !== previousPayers.length || newPayers.some((payer, index) =>
+        payer.user !== previousPayers[index].user || payer.amountMinor !== previousPayers[index].amountMinor
+      );
+      for (const settledSplit of settledSplitsOf(expense)) {
+        const memberId = settledSplit.user.toString();
+        const newSplit = newSplits.find(split => split.user === memberId);
+        if (!payerChanged && newSplit && newSplit.amountMinor === settledSplit.amountMinor) {
+          newSplit.settled = settledSplit.settled;
+          newSplit.settledWith = settledSplit.settledWith;
+        } else {
+          reopenedSplits.push({ user: memberId, amount: settledSplit.amount });
+        }
+      }
+
+      if (reopenedSplits.length > 0 && force !== true) {
+        console.log('Edit blocked by settled splits:', reopenedSplits);
+        return res.status(409).json({
+          success: false,
+          message: 'Some members have already settled their share of this expense. Send force: true to reopen their shares.',
+          settledSplits: reopenedSplits,
+          requiresConfirmation: true
+        });
+      }
+
+      expense.amountMinor = newAmountMinor;
+      expense.currency = newCurrency;
+      expense.paidBy = primaryPayerOf(newPayers);
+      expense.payers = newPayers.length > 1 ? newPayers : [];
+      expense.splitType = newSplitType;
+      expense.splitAmong = newSplits;
+      expense.items = itemization ? itemization.items : [];
+      expense.extras = itemization ? itemization.extras : undefined;
+    }
+
+    // Fields that do not change who owes what
+    const details = {
       description,
-      amount,
-      paidBy: paidBy || userId,
-      splitAmong: splitDetails,
-      category: category || 'Other',
+      category: category === undefined ? undefined : category || 'Other',
       notes,
-      date: date || new Date(),
-      splitType: splitType || 'equal'
-    });
+      date
+    };
+    for (const [field, value] of Object.entries(details)) {
+      if (value !== undefined) {
+        expense[field] = value;
+      }
+    }
 
     await expense.save();
-    console.log(`Expense created with ID: ${expense._id}`);
+    console.log(`Expense ${expenseId} updated`);
 
-    // Update group total expenses
+    const delta = expense.amountMinor - previousAmountMinor;
     await Group.findByIdAndUpdate(groupId, {
-      $inc: { totalExpenses: amount },
+      $inc: { totalExpensesMinor: delta },
       updatedAt: new Date()
     });
+    console.log(`Group total expenses adjusted by ${delta} minor units`);
 
-    console.log('Group total expenses updated');
-    res.status(201).json({
+    const after = snapshotExpense(expense);
+    await Promise.all([
+      recordActivity({
+        group: groupId,
+        actor: userId,
+        action: 'expense_edited',
+        expense,
+        before,
+        after,
+        details: reopenedSplits.length > 0 ? { reopenedSplits } : undefined
+      }),
+      notifyExpenseMembers([before, after], {
+        sender: userId,
+        type: 'expense_updated',
+        message: `${req.user.name} edited "${expense.description}" in group "${group.name}"`,
+        groupId,
+        expenseId: expense._id
+      })
+    ]);
+
+    res.status(200).json({
       success: true,
-      message: 'Expense added successfully',
+      message: reopenedSplits.length > 0
+        ? 'Expense updated; settled shares that changed were reopened'
+        : 'Expense updated successfully',
       expense: {
         _id: expense._id,
         description: expense.description,
         amount: expense.amount,
-        paidBy: paidBy || userId,
+        currency: expense.currency,
+        paidBy: expense.paidBy,
+        payers: expense.payers,
         date: expense.date,
+        category: expense.category,
         splitType: expense.splitType,
-        splitCount: splitDetails.length
-      }
+        splitAmong: expense.splitAmong
+      },
+      reopenedSplits
+    });
+  } catch (error) {
+    console.error('Edit expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to edit expense',
+      error: error.message
     });
+  }
+  console.log('--------------------------------------------------');
+});
 
-    console.log('Add expense response sent successfully');
+// Delete an expense, with the same permission rules as editing. Expenses
+// that someone has already settled a share of need `force` (in the body or
+// as ?force=true).
+router.delete('/groups/:groupId/expenses/:expenseId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Delete expense ${req.params.expenseId} in group: ${req.params.groupId}`);
+
+  try {
+    const { groupId, expenseId } = req.params;
+    const force = req.body?.force === true || req.query.force === 'true';
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(expenseId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const [group, expense] = await Promise.all([
+      Group.findById(groupId),
+      Expense.findOne({ _id: expenseId, group: groupId })
+    ]);
+
+    if (!group || !expense) {
+      return res.status(404).json({
+        success: false,
+        message: group ? 'Expense not found' : 'Group not found'
+      });
+    }
+
+    const isPayer = payersOf(expense).some(payer => payer.user === userId.toString());
+    if (!isGroupAdmin(group, userId) && !(isPayer && canManageExpenses(group, userId, 'delete'))) {
+      console.log('User not allowed to delete this expense');
+      return res.status(403).json({
+        success: false,
+        message: 'Only the payer or a group admin can delete this expense'
+      });
+    }
+
+    // Settlement records are settled by definition and never count towards
+    // the group total
+    const isSettlement = expense.category === 'Settlement';
+    const settledSplits = isSettlement ? [] : settledSplitsOf(expense);
+    if (settledSplits.length > 0 && !force) {
+      console.log('Delete blocked by settled splits');
+      return res.status(409).json({
+        success: false,
+        message: 'Some members have already settled their share of this expense. Send force: true to delete it anyway.',
+        settledSplits: settledSplits.map(split => ({ user: split.user, amount: split.amount })),
+        requiresConfirmation: true
+      });
+    }
+
+    const before = snapshotExpense(expense);
+    await Expense.deleteOne({ _id: expense._id });
+    console.log(`Expense ${expenseId} deleted`);
+
+    if (!isSettlement) {
+      await Group.findByIdAndUpdate(groupId, {
+        $inc: { totalExpensesMinor: -expense.amountMinor },
+        updatedAt: new Date()
+      });
+    }
+
+    await Promise.all([
+      recordActivity({
+        group: groupId,
+        actor: userId,
+        action: 'expense_deleted',
+        expense: expense._id,
+        before
+      }),
+      notifyExpenseMembers([before], {
+        sender: userId,
+        type: 'expense_deleted',
+        message: `${req.user.name} deleted "${expense.description}" from group "${group.name}"`,
+        groupId
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Expense deleted successfully',
+      expenseId
+    });
   } catch (error) {
-    console.error('Add expense error:', error);
-    console.error('Error stack:', error.stack);
-    res.status(500).json({ 
-      success: false, 
-      message: 'Failed to add expense',
+    console.error('Delete expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete expense',
       error: error.message
     });
-    console.log('Error response sent');
   }
   console.log('--------------------------------------------------');
 });
 
 // Update expense payment status
-router.post('/groups/:groupId/expenses/:expenseId/update-payment', authMiddleware, async (req, res) => {
+router.post('/groups/:groupId/expenses/:expenseId/update-payment', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Update payment status for expense: ${req.params.expenseId}`);
 
@@ -608,7 +591,7 @@ router.post('/groups/:groupId/expenses/:expenseId/update-payment', authMiddlewar
     }
 
     // Find the expense
-    const expense = await Expense.findById(expenseId);
+    const expense = await Expense.findOne({ _id: expenseId, group: groupId });
     if (!expense) {
       console.log('Expense not found');
       return res.status(404).json({
@@ -617,8 +600,8 @@ router.post('/groups/:groupId/expenses/:expenseId/update-payment', authMiddlewar
       });
     }
 
-    // Check if the current user is the one who paid for the expense
-    if (expense.paidBy.toString() !== currentUserId.toString()) {
+    // Check if the current user is one of the people who paid for the expense
+    if (!payersOf(expense).some(payer => payer.user === currentUserId.toString())) {
       console.log('User not authorized to update payment status');
       return res.status(403).json({
         success: false,
@@ -639,12 +622,29 @@ router.post('/groups/:groupId/expenses/:expenseId/update-payment', authMiddlewar
       });
     }
 
-    // Update the settled status and amount paid
-    splitEntry.settled = true;
+    // Settle only what the member owes the acting payer; with several
+    // payers the share stays open until every one of them is paid
+    const before = { settled: splitEntry.settled, amount: splitEntry.amount };
+    if (!settleShare(expense, userId, currentUserId)) {
+      console.log('Nothing owed to this payer');
+      return res.status(400).json({
+        success: false,
+        message: 'This user owes you nothing on this expense'
+      });
+    }
     splitEntry.amountPaid = amountPaid;
 
     await expense.save();
     console.log(`Payment status updated for expense ${expenseId} for user ${userId}`);
+    await recordActivity({
+      group: expense.group,
+      actor: currentUserId,
+      action: 'split_settled',
+      subjectUser: userId,
+      expense,
+      before,
+      after: { settled: splitEntry.settled, settledWith: currentUserId, amount: splitEntry.amount, amountPaid }
+    });
 
     res.status(200).json({
       success: true,
@@ -711,38 +711,15 @@ router.get('/groups/:groupId/expenses', authMiddleware, async (req, res) => {
     // Fetch expenses with populated fields
     const expenses = await Expense.find({ group: groupId })
       .populate('paidBy', 'name email photoUrl')
+      .populate('payers.user', 'name email photoUrl')
       .populate('splitAmong.user', 'name email photoUrl')
+      .populate('items.members', 'name email photoUrl')
       .sort({ date: -1 });
     
     console.log(`Found ${expenses.length} expenses for group`);
     
     // Format expenses for response
-    const formattedExpenses = expenses.map(expense => ({
-      _id: expense._id,
-      description: expense.description,
-      amount: expense.amount,
-      paidBy: {
-        _id: expense.paidBy._id,
-        name: expense.paidBy.name,
-        photoUrl: expense.paidBy.photoUrl
-      },
-      splitAmong: expense.splitAmong.map(split => ({
-        user: {
-          _id: split.user._id,
-          name: split.user.name,
-          photoUrl: split.user.photoUrl
-        },
-        amount: split.amount,
-        settled: split.settled
-      })),
-      date: expense.date,
-      category: expense.category,
-      notes: expense.notes,
-      isPaidByCurrentUser: expense.paidBy._id.toString() === userId.toString(),
-      currentUserPaid: expense.splitAmong.find(split => 
-        split.user._id.toString() === userId.toString()
-      )?.settled || false
-    }));
+    const formattedExpenses = expenses.map(expense => formatExpense(expense, userId));
     
     res.status(200).json({
       success: true,
@@ -764,7 +741,7 @@ router.get('/groups/:groupId/expenses', authMiddleware, async (req, res) => {
 });
 
 // Mark expense as paid/settled
-router.post('/groups/:groupId/expenses/:expenseId/settle', authMiddleware, async (req, res) => {
+router.post('/groups/:groupId/expenses/:expenseId/settle', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Mark expense as settled for expense: ${req.params.expenseId}`);
   
@@ -781,7 +758,7 @@ router.post('/groups/:groupId/expenses/:expenseId/settle', authMiddleware, async
     }
     
     // Find the expense
-    const expense = await Expense.findById(expenseId);
+    const expense = await Expense.findOne({ _id: expenseId, group: groupId });
     if (!expense) {
       console.log('Expense not found');
       return res.status(404).json({
@@ -804,6 +781,7 @@ router.post('/groups/:groupId/expenses/:expenseId/settle', authMiddleware, async
     }
     
     // Update settled status for the user
+    const before = { settled: splitEntry.settled, amount: splitEntry.amount };
     expense.splitAmong.forEach(split => {
       if (split.user.toString() === userId.toString()) {
         split.settled = true;
@@ -812,6 +790,14 @@ router.post('/groups/:groupId/expenses/:expenseId/settle', authMiddleware, async
     
     await expense.save();
     console.log(`Expense ${expenseId} marked as settled for user ${userId}`);
+    await recordActivity({
+      group: expense.group,
+      actor: userId,
+      action: 'split_settled',
+      expense,
+      before,
+      after: { settled: true, amount: splitEntry.amount }
+    });
     
     res.status(200).json({
       success: true,
@@ -909,40 +895,32 @@ router.get('/groups/:groupId/balances', authMiddleware, async (req, res) => {
       }
     }
     
-    // Process each expense
+    // Process each expense. Every open share is owed to the payers, split
+    // between them in proportion to what each paid.
+    const owedBetween = {};
     for (const expense of expenses) {
-      const paidById = expense.paidBy._id.toString();
-      
       // Skip settlement expenses for balance calculations
       if (expense.category === 'Settlement') {
         console.log(`Skipping settlement expense: ${expense._id}`);
         continue;
       }
       
-      // Calculate total unsettled amount for this expense
-      let totalUnsettledAmount = 0;
-      for (const split of expense.splitAmong) {
-          if (!split.settled) {
-          totalUnsettledAmount += split.amount;
+      for (const debt of debtsOf(expense)) {
+        // Credit the payer with what they are owed
+        if (balances[debt.to]) {
+          balances[debt.to].paid += debt.amountMinor;
+          balances[debt.to].net += debt.amountMinor;
         }
-      }
-      
-      // Only add to paid amount if there are unsettled splits
-      if (totalUnsettledAmount > 0 && balances[paidById]) {
-        balances[paidById].paid += totalUnsettledAmount;
-        balances[paidById].net += totalUnsettledAmount;
-      }
-      
-      // Subtract amount owed by each person (only for unsettled splits)
-      for (const split of expense.splitAmong) {
-        const splitUserId = split.user._id.toString();
         
-        // Only process unsettled splits
-        if (!split.settled && balances[splitUserId]) {
-          balances[splitUserId].owed += split.amount;
-          balances[splitUserId].net -= split.amount;
-          balances[splitUserId].pendingPayments += split.amount;
+        // Subtract what the member owes
+        if (balances[debt.from]) {
+          balances[debt.from].owed += debt.amountMinor;
+          balances[debt.from].net -= debt.amountMinor;
+          balances[debt.from].pendingPayments += debt.amountMinor;
         }
+        
+        const key = `${debt.from}:${debt.to}`;
+        owedBetween[key] = (owedBetween[key] || 0) + debt.amountMinor;
       }
     }
     
@@ -955,48 +933,15 @@ router.get('/groups/:groupId/balances', authMiddleware, async (req, res) => {
         const user1Id = userIds[i];
         const user2Id = userIds[j];
         
-        // Calculate how much each user paid for the other
-        let user1PaidForUser2 = 0;
-        let user2PaidForUser1 = 0;
-        
-        for (const expense of expenses) {
-          // Skip settlement expenses
-          if (expense.category === 'Settlement') {
-            continue;
-          }
-          
-          const paidById = expense.paidBy._id.toString();
-          
-          // If user1 paid for this expense
-          if (paidById === user1Id) {
-            // Check if user2 was part of the split
-            const user2Split = expense.splitAmong.find(split => 
-              split.user._id.toString() === user2Id
-            );
-            
-            if (user2Split && !user2Split.settled) {
-              user1PaidForUser2 += user2Split.amount;
-            }
-          }
-          
-          // If user2 paid for this expense
-          if (paidById === user2Id) {
-            // Check if user1 was part of the split
-            const user1Split = expense.splitAmong.find(split => 
-              split.user._id.toString() === user1Id
-            );
-            
-            if (user1Split && !user1Split.settled) {
-              user2PaidForUser1 += user1Split.amount;
-            }
-          }
-        }
+        // How much each user paid for the other
+        const user1PaidForUser2 = owedBetween[`${user2Id}:${user1Id}`] || 0;
+        const user2PaidForUser1 = owedBetween[`${user1Id}:${user2Id}`] || 0;
         
         // Calculate net balance between the two users
         const netBalance = user1PaidForUser2 - user2PaidForUser1;
         
         // Only add non-zero balances
-        if (Math.abs(netBalance) > 0.01) {
+        if (netBalance !== 0) {
           // Add to user1's detailed balances
           balances[user1Id].detailedBalances.push({
             withUser: {
@@ -1020,13 +965,60 @@ router.get('/groups/:groupId/balances', authMiddleware, async (req, res) => {
       }
     }
     
-    // Convert balances object to array and filter out users with zero net balance
+    // With simplified debts the pairwise view shows the fewest payments
+    // that settle the group instead of who paid for whom
+    const simplify = Boolean(group.settings?.simplifyDebts);
+    let payments = null;
+    if (simplify) {
+      payments = simplifyDebts(Object.fromEntries(
+        Object.values(balances).map(balance => [balance._id, balance.net])
+      ));
+      console.log(`Simplified debts to ${payments.length} payments`);
+
+      for (const balance of Object.values(balances)) {
+        balance.detailedBalances = [];
+      }
+      for (const payment of payments) {
+        balances[payment.from].detailedBalances.push({
+          withUser: {
+            _id: payment.to,
+            name: balances[payment.to].name,
+            photoUrl: balances[payment.to].photoUrl
+          },
+          amount: -payment.amountMinor
+        });
+        balances[payment.to].detailedBalances.push({
+          withUser: {
+            _id: payment.from,
+            name: balances[payment.from].name,
+            photoUrl: balances[payment.from].photoUrl
+          },
+          amount: payment.amountMinor
+        });
+      }
+    }
+    
+    // Convert balances object to array and filter out users with zero net
+    // balance. Everything above is in minor units; the response uses the
+    // group's currency.
+    const currency = group.settings?.defaultCurrency;
+    const toAmount = (minor) => fromMinor(minor, currency);
     const balancesArray = Object.values(balances)
-      .filter(balance => Math.abs(balance.net) >= 0.01);
+      .filter(balance => balance.net !== 0)
+      .map(balance => ({
+        ...balance,
+        paid: toAmount(balance.paid),
+        owed: toAmount(balance.owed),
+        net: toAmount(balance.net),
+        pendingPayments: toAmount(balance.pendingPayments),
+        detailedBalances: balance.detailedBalances.map(detail => ({ ...detail, amount: toAmount(detail.amount) }))
+      }));
     
     res.status(200).json({
       success: true,
-      balances: balancesArray
+      balances: balancesArray,
+      simplifyDebts: simplify,
+      payments: payments && payments.map(({ from, to, amountMinor }) => ({ from, to, amount: toAmount(amountMinor) }))
     });
     
     console.log('Get balances response sent successfully');
@@ -1044,7 +1036,7 @@ router.get('/groups/:groupId/balances', authMiddleware, async (req, res) => {
 });
 
 // Update the settle-balance route with more detailed logging
-router.post('/groups/:groupId/settle-balance', authMiddleware, async (req, res) => {
+router.post('/groups/:groupId/settle-balance', authMiddleware, groupWritable, async (req, res) => {
   console.log('==================================================');
   console.log(`[${new Date().toISOString()}] SETTLE BALANCE DEBUG`);
   console.log('Group ID:', req.params.groupId);
@@ -1090,9 +1082,12 @@ router.post('/groups/:groupId/settle-balance', authMiddleware, async (req, res)
     console.log('Finding unsettled expenses between users');
     const expenses = await Expense.find({
       group: groupId,
+      'splitAmong.settled': false,
       $or: [
-        { paidBy: withUserId, 'splitAmong.user': userId, 'splitAmong.settled': false },
-        { paidBy: userId, 'splitAmong.user': withUserId, 'splitAmong.settled': false }
+        { paidBy: withUserId, 'splitAmong.user': userId },
+        { paidBy: userId, 'splitAmong.user': withUserId },
+        { 'payers.user': withUserId, 'splitAmong.user': userId },
+        { 'payers.user': userId, 'splitAmong.user': withUserId }
       ]
     });
 
@@ -1101,22 +1096,34 @@ router.post('/groups/:groupId/settle-balance', authMiddleware, async (req, res)
     // If no unsettled expenses are found, create a direct settlement record
     if (expenses.length === 0) {
       console.log('No unsettled expenses found, creating direct settlement');
+
+      const group = await Group.findById(groupId);
+      const currency = group?.settings?.defaultCurrency || 'USD';
+      const amountMinor = toMinor(amount, currency);
+      if (!(amountMinor > 0)) {
+        console.log('Invalid settlement amount');
+        return res.status(400).json({
+          success: false,
+          message: `Amount must be at least ${formatMinor(1, currency)} ${currency}`
+        });
+      }
       
       // Create a new expense to record the settlement
       const settlementExpense = new Expense({
         group: groupId,
         description: 'Balance Settlement',
-        amount: amount,
+        amountMinor,
+        currency,
         paidBy: userId, // The user who is settling up
         splitAmong: [
           {
             user: userId,
-            amount: 0, // The user who paid doesn't owe anything
+            amountMinor: 0, // The user who paid doesn't owe anything
             settled: true
           },
           {
             user: withUserId,
-            amount: amount, // The full amount is assigned to the other user
+            amountMinor, // The full amount is assigned to the other user
             settled: true // Mark as settled immediately
           }
         ],
@@ -1127,6 +1134,14 @@ router.post('/groups/:groupId/settle-balance', authMiddleware, async (req, res)
       
       await settlementExpense.save();
       console.log(`Created settlement expense with ID: ${settlementExpense._id}`);
+      await recordActivity({
+        group: groupId,
+        actor: currentUserId,
+        action: 'balance_settled',
+        subjectUser: currentUserId.toString() === userId.toString() ? withUserId : userId,
+        expense: settlementExpense,
+        details: { from: userId, to: withUserId, amount, directSettlement: true }
+      });
       
       res.status(200).json({
         success: true,
@@ -1140,49 +1155,37 @@ router.post('/groups/:groupId/settle-balance', authMiddleware, async (req, res)
       return;
     }
 
-    // Mark expenses as settled
+    // Mark expenses as settled. Either user may be the one owed; with
+    // several payers only the part owed between these two is settled.
     let settledCount = 0;
     for (const expense of expenses) {
       console.log(`Processing expense: ${expense._id}`);
-      
-      if (expense.paidBy.toString() === withUserId.toString()) {
-        console.log(`Expense paid by withUserId (${withUserId})`);
-        // This user owes money to the other user
-        // Find the split for the current user
-        const splitIndex = expense.splitAmong.findIndex(split => 
-          split.user.toString() === userId.toString() && !split.settled
-        );
-        
-        console.log(`Split index for userId (${userId}): ${splitIndex}`);
-        
-        if (splitIndex !== -1) {
-          console.log(`Marking split as settled for user ${userId}`);
-          expense.splitAmong[splitIndex].settled = true;
-          await expense.save();
-          settledCount++;
-          console.log(`Marked expense ${expense._id} as settled for user ${userId}`);
-        }
-      } else if (expense.paidBy.toString() === userId.toString()) {
-        console.log(`Expense paid by userId (${userId})`);
-        // The other user owes money to this user
-        // Find the split for the other user
-        const splitIndex = expense.splitAmong.findIndex(split => 
-          split.user.toString() === withUserId.toString() && !split.settled
-        );
-        
-        console.log(`Split index for withUserId (${withUserId}): ${splitIndex}`);
-        
-        if (splitIndex !== -1) {
-          console.log(`Marking split as settled for user ${withUserId}`);
-          expense.splitAmong[splitIndex].settled = true;
-          await expense.save();
-          settledCount++;
-          console.log(`Marked expense ${expense._id} as settled for user ${withUserId}`);
-        }
+
+      const userShareSettled = settleShare(expense, userId, withUserId);
+      const withUserShareSettled = settleShare(expense, withUserId, userId);
+      console.log(`Share of ${userId} settled: ${userShareSettled}, share of ${withUserId} settled: ${withUserShareSettled}`);
+
+      if (userShareSettled || withUserShareSettled) {
+        await expense.save();
+        settledCount++;
+        console.log(`Marked expense ${expense._id} as settled between ${userId} and ${withUserId}`);
       }
     }
 
     console.log(`Settled ${settledCount} expenses between users ${userId} and ${withUserId}`);
+    await recordActivity({
+      group: groupId,
+      actor: currentUserId,
+      action: 'balance_settled',
+      subjectUser: currentUserId.toString() === userId.toString() ? withUserId : userId,
+      details: {
+        from: userId,
+        to: withUserId,
+        amount,
+        settledCount,
+        expenses: expenses.map(expense => expense._id)
+      }
+    });
     
     res.status(200).json({
       success: true,
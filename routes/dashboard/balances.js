@@ -5,6 +5,9 @@ const authMiddleware = require('../../middleware/auth');
 const User = require('../../models/User');
 const Group = require('../../models/Group');
 const Expense = require('../../models/Expense');
+const { computeNetBalances, simplifyDebts } = require('../../utils/balances');
+const { fromMinor } = require('../../utils/money');
+const { payersOf } = require('../../utils/splits');
 
 // Get balance summary for a group
 router.get('/group/:groupId', authMiddleware, async (req, res) => {
@@ -73,33 +76,54 @@ router.get('/group/:groupId', authMiddleware, async (req, res) => {
       }
     }
     
-    // Calculate balances from expenses
+    // Calculate balances from expenses, in minor units. Each payer is
+    // credited with what they paid.
     for (const expense of expenses) {
-      const paidById = expense.paidBy._id.toString();
-      
-      if (balances[paidById]) {
-        balances[paidById].paid += expense.amount;
-        balances[paidById].net += expense.amount;
+      for (const payer of payersOf(expense)) {
+        if (balances[payer.user]) {
+          balances[payer.user].paid += payer.amountMinor;
+          balances[payer.user].net += payer.amountMinor;
+        }
       }
       
       for (const split of expense.splitAmong) {
         const userId = split.user._id.toString();
         if (balances[userId]) {
-          balances[userId].owed += split.amount;
-          balances[userId].net -= split.amount;
+          balances[userId].owed += split.amountMinor;
+          balances[userId].net -= split.amountMinor;
           
           if (!split.settled) {
-            balances[userId].pendingPayments += split.amount;
+            balances[userId].pendingPayments += split.amountMinor;
           }
         }
       }
     }
     
-    const balancesArray = Object.values(balances);
+    // Amounts go back out in the group's currency
+    const currency = group.settings?.defaultCurrency;
+    const balancesArray = Object.values(balances).map(balance => ({
+      ...balance,
+      paid: fromMinor(balance.paid, currency),
+      owed: fromMinor(balance.owed, currency),
+      net: fromMinor(balance.net, currency),
+      pendingPayments: fromMinor(balance.pendingPayments, currency)
+    }));
+
+    // Suggested payments are based on what is still open, not lifetime totals
+    const simplify = Boolean(group.settings?.simplifyDebts);
+    const payments = simplify
+      ? simplifyDebts(computeNetBalances(expenses)).map(({ from, to, amountMinor }) => ({
+        from,
+        to,
+        amount: fromMinor(amountMinor, currency)
+      }))
+      : null;
     
     res.status(200).json({
       success: true,
-      balances: balancesArray
+      balances: balancesArray,
+      simplifyDebts: simplify,
+      payments
     });
   } catch (error) {
     console.error('Get balances error:', error);
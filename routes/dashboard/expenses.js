@@ -2,8 +2,14 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const authMiddleware = require('../../middleware/auth');
+const groupWritable = require('../../middleware/groupWritable');
 const Group = require('../../models/Group');
 const Expense = require('../../models/Expense');
+const { canManageExpenses, isActiveMember } = require('../../utils/groupAccess');
+const { recordActivity } = require('../../utils/activity');
+const { payersOf, SplitError } = require('../../utils/splits');
+const { settleShare } = require('../../utils/balances');
+const { createExpense, createdExpensePayload, formatExpense, summarizePaidExpenses } = require('../../utils/expenses');
 
 // Get user expenses and balance
 router.get('/user', authMiddleware, async (req, res) => {
@@ -13,33 +19,13 @@ router.get('/user', authMiddleware, async (req, res) => {
   try {
     const userId = req.user._id;
 
-    const expenses = await Expense.find({ paidBy: userId })
+    const expenses = await Expense.find({ $or: [{ paidBy: userId }, { 'payers.user': userId }] })
       .populate('group', 'name photoUrl')
       .sort({ date: -1 });
 
-    let totalAmount = 0;
-    const formattedExpenses = expenses.map((expense) => {
-      const amount = expense.amount;
-      totalAmount += amount;
-      return {
-        _id: expense._id,
-        description: expense.description,
-        amount: amount,
-        group: {
-          _id: expense.group._id,
-          name: expense.group.name,
-          photoUrl: expense.group.photoUrl,
-        },
-        date: expense.date,
-        category: expense.category,
-        notes: expense.notes,
-      };
-    });
-
     res.status(200).json({
       success: true,
-      totalAmount: totalAmount,
-      expenses: formattedExpenses,
+      ...summarizePaidExpenses(expenses, req.user)
     });
   } catch (error) {
     console.error('Error fetching user expenses and balance:', error);
@@ -89,37 +75,14 @@ router.get('/group/:groupId', authMiddleware, async (req, res) => {
     
     const expenses = await Expense.find({ group: groupId })
       .populate('paidBy', 'name email photoUrl')
+      .populate('payers.user', 'name email photoUrl')
       .populate('splitAmong.user', 'name email photoUrl')
+      .populate('items.members', 'name email photoUrl')
       .sort({ date: -1 });
     
     res.status(200).json({
       success: true,
-      expenses: expenses.map(expense => ({
-        _id: expense._id,
-        description: expense.description,
-        amount: expense.amount,
-        paidBy: {
-          _id: expense.paidBy._id,
-          name: expense.paidBy.name,
-          photoUrl: expense.paidBy.photoUrl
-        },
-        splitAmong: expense.splitAmong.map(split => ({
-          user: {
-            _id: split.user._id,
-            name: split.user.name,
-            photoUrl: split.user.photoUrl
-          },
-          amount: split.amount,
-          settled: split.settled
-        })),
-        date: expense.date,
-        category: expense.category,
-        notes: expense.notes,
-        currentUserPaid: expense.splitAmong.find(split => 
-          split.user._id.toString() === userId.toString()
-        )?.settled || false,
-        isPaidByCurrentUser: expense.paidBy._id.toString() === userId.toString()
-      }))
+      expenses: expenses.map(expense => formatExpense(expense, userId))
     });
   } catch (error) {
     console.error('Get expenses error:', error);
@@ -132,13 +95,12 @@ router.get('/group/:groupId', authMiddleware, async (req, res) => {
 });
 
 // Add expense to group
-router.post('/group/:groupId', authMiddleware, async (req, res) => {
+router.post('/group/:groupId', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Add expense request for group: ${req.params.groupId}`);
 
   try {
     const { groupId } = req.params;
-    const { description, amount, splitAmong, category, notes, date } = req.body;
     const userId = req.user._id;
 
     if (!mongoose.Types.ObjectId.isValid(groupId)) {
@@ -148,17 +110,7 @@ router.post('/group/:groupId', authMiddleware, async (req, res) => {
       });
     }
 
-    if (!description || !amount || amount <= 0) {
-      return res.status(400).json({
-        success: false,
-        message: 'Description and amount (greater than 0) are required'
-      });
-    }
-
-    const group = await Group.findById(groupId)
-      .populate('admin', 'name email photoUrl')
-      .populate('members.user', 'name email photoUrl');
-
+    const group = await Group.findById(groupId);
     if (!group) {
       return res.status(404).json({
         success: false,
@@ -166,77 +118,37 @@ router.post('/group/:groupId', authMiddleware, async (req, res) => {
       });
     }
 
-    const isAdmin = group.admin._id.toString() === userId.toString();
-    const isMember = group.members.some(
-      member => member.user._id.toString() === userId.toString() && member.status === 'active'
-    );
-
-    if (!isAdmin && !isMember) {
+    if (!isActiveMember(group, userId)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to add expenses to this group'
       });
     }
 
-    const allMembers = [
-      { _id: group.admin._id.toString() },
-      ...group.members
-        .filter(member => member.status === 'active')
-        .map(member => ({ _id: member.user._id.toString() }))
-    ];
-
-    let membersToSplit = allMembers;
-    if (splitAmong && splitAmong.length > 0) {
-      membersToSplit = allMembers.filter(member => 
-        splitAmong.includes(member._id.toString())
-      );
+    if (!canManageExpenses(group, userId, 'add')) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add expenses to this group'
+      });
     }
 
-    if (membersToSplit.length === 0) {
+    let expense;
+    try {
+      expense = await createExpense(group, req.body, req.user);
+    } catch (error) {
+      if (!(error instanceof SplitError)) {
+        throw error;
+      }
       return res.status(400).json({
         success: false,
-        message: 'No valid members to split expense among'
+        message: error.message
       });
     }
 
-    const splitAmount = parseFloat((amount / membersToSplit.length).toFixed(2));
-
-    const splitDetails = membersToSplit.map(member => ({
-      user: member._id,
-      amount: splitAmount,
-      settled: member._id.toString() === userId.toString()
-    }));
-
-    const expense = new Expense({
-      group: groupId,
-      description,
-      amount,
-      paidBy: userId,
-      splitAmong: splitDetails,
-      category: category || 'Other',
-      notes,
-      date: date || new Date()
-    });
-
-    await expense.save();
-
-    await Group.findByIdAndUpdate(groupId, {
-      $inc: { totalExpenses: amount },
-      updatedAt: new Date()
-    });
-
     res.status(201).json({
       success: true,
       message: 'Expense added successfully',
-      expense: {
-        _id: expense._id,
-        description: expense.description,
-        amount: expense.amount,
-        paidBy: userId,
-        date: expense.date,
-        splitCount: splitDetails.length,
-        splitAmount: splitAmount
-      }
+      expense: createdExpensePayload(expense)
     });
   } catch (error) {
     console.error('Add expense error:', error);
@@ -249,7 +161,7 @@ router.post('/group/:groupId', authMiddleware, async (req, res) => {
 });
 
 // Mark expense as settled
-router.post('/group/:groupId/settle/:expenseId', authMiddleware, async (req, res) => {
+router.post('/group/:groupId/settle/:expenseId', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Mark expense as settled for expense: ${req.params.expenseId}`);
   
@@ -264,7 +176,7 @@ router.post('/group/:groupId/settle/:expenseId', authMiddleware, async (req, res
       });
     }
     
-    const expense = await Expense.findById(expenseId);
+    const expense = await Expense.findOne({ _id: expenseId, group: groupId });
     if (!expense) {
       return res.status(404).json({
         success: false,
@@ -283,6 +195,7 @@ router.post('/group/:groupId/settle/:expenseId', authMiddleware, async (req, res
       });
     }
     
+    const before = { settled: splitEntry.settled, amount: splitEntry.amount };
     expense.splitAmong.forEach(split => {
       if (split.user.toString() === userId.toString()) {
         split.settled = true;
@@ -290,6 +203,14 @@ router.post('/group/:groupId/settle/:expenseId', authMiddleware, async (req, res
     });
     
     await expense.save();
+    await recordActivity({
+      group: expense.group,
+      actor: userId,
+      action: 'split_settled',
+      expense,
+      before,
+      after: { settled: true, amount: splitEntry.amount }
+    });
     
     res.status(200).json({
       success: true,
@@ -307,7 +228,7 @@ router.post('/group/:groupId/settle/:expenseId', authMiddleware, async (req, res
 });
 
 // Update expense payment status
-router.post('/group/:groupId/payment/:expenseId', authMiddleware, async (req, res) => {
+router.post('/group/:groupId/payment/:expenseId', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Update payment status for expense: ${req.params.expenseId}`);
 
@@ -323,7 +244,7 @@ router.post('/group/:groupId/payment/:expenseId', authMiddleware, async (req, re
       });
     }
 
-    const expense = await Expense.findById(expenseId);
+    const expense = await Expense.findOne({ _id: expenseId, group: groupId });
     if (!expense) {
       return res.status(404).json({
         success: false,
@@ -331,7 +252,7 @@ router.post('/group/:groupId/payment/:expenseId', authMiddleware, async (req, re
       });
     }
 
-    if (expense.paidBy.toString() !== currentUserId.toString()) {
+    if (!payersOf(expense).some(payer => payer.user === currentUserId.toString())) {
       return res.status(403).json({
         success: false,
         message: 'You are not authorized to update payment status for this expense'
@@ -349,10 +270,27 @@ router.post('/group/:groupId/payment/:expenseId', authMiddleware, async (req, re
       });
     }
 
-    splitEntry.settled = true;
+    // Settle only what the member owes the acting payer; with several
+    // payers the share stays open until every one of them is paid
+    const before = { settled: splitEntry.settled, amount: splitEntry.amount };
+    if (!settleShare(expense, userId, currentUserId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'This user owes you nothing on this expense'
+      });
+    }
     splitEntry.amountPaid = amountPaid;
 
     await expense.save();
+    await recordActivity({
+      group: expense.group,
+      actor: currentUserId,
+      action: 'split_settled',
+      subjectUser: userId,
+      expense,
+      before,
+      after: { settled: splitEntry.settled, settledWith: currentUserId, amount: splitEntry.amount, amountPaid }
+    });
 
     res.status(200).json({
       success: true,
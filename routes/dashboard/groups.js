@@ -2,8 +2,96 @@ const express = require('express');
 const router = express.Router();
 const mongoose = require('mongoose');
 const authMiddleware = require('../../middleware/auth');
+const groupWritable = require('../../middleware/groupWritable');
 const User = require('../../models/User');
 const Group = require('../../models/Group');
+const Notification = require('../../models/Notification');
+const PendingInvitation = require('../../models/PendingInvitation');
+const Expense = require('../../models/Expense');
+const RecurringExpense = require('../../models/RecurringExpense');
+const {
+  createPendingInvitation,
+  findInvitationByToken,
+  acceptInvitation
+} = require('../../utils/invitations');
+const {
+  getMemberNetBalance,
+  getOutstandingBalances,
+  settleAllForMember
+} = require('../../utils/balances');
+const { deleteGroupCascade } = require('../../utils/groupCleanup');
+const { fromMinor } = require('../../utils/money');
+const { buildSettingsUpdate, settingsPayload } = require('../../utils/groupSettings');
+const { storePhoto, removePhoto, InvalidImageError } = require('../../utils/images');
+const photoUpload = require('../../middleware/photoUpload');
+const { recordActivity, listActivity } = require('../../utils/activity');
+const {
+  GROUP_TYPES,
+  getTemplate,
+  getTripStatus,
+  listTemplates
+} = require('../../utils/groupTemplates');
+const {
+  idOf,
+  isGroupOwner,
+  isGroupAdmin,
+  isActiveMember,
+  findMembership,
+  getAdminIds
+} = require('../../utils/groupAccess');
+
+// A member can only go once they are square with the group. With
+// `settle` the caller confirms debts were paid outside the app and the open
+// splits are marked settled. Returns an error response body, or null.
+const prepareMemberDeparture = async (group, memberId, settle) => {
+  const netBalance = await getMemberNetBalance(group._id, memberId);
+  if (netBalance === 0) {
+    return null;
+  }
+
+  if (!settle) {
+    return {
+      success: false,
+      message: netBalance > 0
+        ? 'This member is still owed money in the group; settle up first'
+        : 'This member still owes money in the group; settle up first',
+      netBalance: fromMinor(netBalance, group.settings?.defaultCurrency),
+      requiresSettlement: true
+    };
+  }
+
+  const settledCount = await settleAllForMember(group._id, memberId);
+  console.log(`Marked ${settledCount} expenses settled for departing member ${memberId}`);
+  return null;
+};
+
+// Make an active member the group's owner. The previous owner stays on as
+// an admin member unless `keepPreviousOwner` is false (they are leaving).
+const transferOwnership = (group, newOwnerId, keepPreviousOwner = true) => {
+  const previousOwnerId = idOf(group.admin);
+  group.members = group.members.filter(member => idOf(member.user) !== newOwnerId.toString());
+  if (keepPreviousOwner) {
+    group.members.push({ user: previousOwnerId, status: 'active', role: 'admin' });
+  }
+  group.admin = newOwnerId;
+  group.updatedAt = new Date();
+};
+
+// Tell everyone left in the group, except the person who acted
+const notifyGroupMembers = async (group, { sender, type, message }) => {
+  const recipients = [
+    group.admin,
+    ...group.members.filter(m => m.status === 'active').map(m => m.user)
+  ].filter(id => id.toString() !== sender.toString());
+
+  await Notification.insertMany(recipients.map(recipient => ({
+    recipient,
+    sender,
+    type,
+    message,
+    relatedGroup: group._id
+  })));
+};
 
 // Get all groups for a user
 router.get('/', authMiddleware, async (req, res) => {
@@ -12,26 +100,40 @@ router.get('/', authMiddleware, async (req, res) => {
   
   try {
     const userId = req.user._id;
-    console.log('Finding groups for user ID:', userId);
+    const includeArchived = req.query.includeArchived === 'true';
+    console.log('Finding groups for user ID:', userId, includeArchived ? '(including archived)' : '');
+
+    // Archived groups only show up when asked for
+    const archiveFilter = includeArchived ? {} : { archivedAt: null };
     
     // Find groups where user is admin
-    const adminGroups = await Group.find({ admin: userId });
+    const adminGroups = await Group.find({ admin: userId, ...archiveFilter });
     console.log(`Found ${adminGroups.length} groups where user is admin`);
     
     // Find groups where user is a member with 'active' OR 'pending' status
     const memberGroups = await Group.find({
       'members.user': userId,
-      'members.status': { $in: ['active', 'pending'] }
+      'members.status': { $in: ['active', 'pending'] },
+      ...archiveFilter
     });
     console.log(`Found ${memberGroups.length} groups where user is member`);
     
     // Combine and remove duplicates
-    const allGroups = [...adminGroups];
+    let allGroups = [...adminGroups];
     memberGroups.forEach(group => {
       if (!allGroups.find(g => g._id.toString() === group._id.toString())) {
         allGroups.push(group);
       }
     });
+
+    // Optional filters, e.g. ?type=trip&tripStatus=upcoming
+    const now = new Date();
+    if (req.query.type) {
+      allGroups = allGroups.filter(group => group.type === req.query.type);
+    }
+    if (req.query.tripStatus) {
+      allGroups = allGroups.filter(group => getTripStatus(group, now) === req.query.tripStatus);
+    }
     
     res.status(200).json({
       success: true,
@@ -40,11 +142,18 @@ router.get('/', authMiddleware, async (req, res) => {
         name: group.name,
         description: group.description,
         photoUrl: group.photoUrl,
+        type: group.type,
+        startDate: group.startDate,
+        endDate: group.endDate,
+        tripStatus: getTripStatus(group, now),
         memberCount: group.memberCount,
-        isAdmin: group.admin.toString() === userId.toString(),
-        memberStatus: group.admin.toString() === userId.toString() 
-          ? 'admin' 
-          : group.members.find(m => m.user.toString() === userId.toString())?.status || 'unknown'
+        isAdmin: isGroupAdmin(group, userId),
+        isOwner: isGroupOwner(group, userId),
+        memberStatus: isGroupOwner(group, userId)
+          ? 'admin'
+          : findMembership(group, userId)?.status || 'unknown',
+        archived: Boolean(group.archivedAt),
+        archivedAt: group.archivedAt
       }))
     });
   } catch (error) {
@@ -63,7 +172,8 @@ router.post('/create', authMiddleware, async (req, res) => {
   console.log(`[${new Date().toISOString()}] Create group request from user: ${req.user._id}`);
   
   try {
-    const { name, description, members } = req.body;
+    const { name, description, members, requireVerifiedEmail, startDate, endDate } = req.body;
+    const type = req.body.type || 'other';
     const userId = req.user._id;
     
     if (!name) {
@@ -72,19 +182,63 @@ router.post('/create', authMiddleware, async (req, res) => {
         message: 'Group name is required'
       });
     }
+
+    if (!GROUP_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        message: `Group type must be one of: ${GROUP_TYPES.join(', ')}`
+      });
+    }
+
+    if ((startDate || endDate) && type !== 'trip') {
+      return res.status(400).json({
+        success: false,
+        message: 'Start and end dates can only be set on trips'
+      });
+    }
+
+    const start = startDate ? new Date(startDate) : undefined;
+    const end = endDate ? new Date(endDate) : undefined;
+    if ((start && isNaN(start)) || (end && isNaN(end)) || (start && end && end < start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Trip dates are invalid or the end date is before the start date'
+      });
+    }
+
+    // The type seeds categories, split settings and recurring suggestions
+    const template = getTemplate(type);
+    console.log(`Creating ${type} group with template defaults`);
     
     const newGroup = new Group({
       name,
       description,
+      type,
+      categories: template.categories,
+      recurringSuggestions: template.recurringSuggestions,
+      startDate: start,
+      endDate: end,
       admin: userId,
-      members: []
+      members: [],
+      settings: {
+        ...template.settings,
+        requireVerifiedEmail: Boolean(requireVerifiedEmail),
+        defaultCurrency: req.user.defaultCurrency || 'USD'
+      }
     });
     
+    // Emails without an account get an emailed invitation once the group exists
+    const unregisteredEmails = [];
+    
     if (members && members.length > 0) {
       const invitedMembers = [];
       for (const email of members) {
         const user = await User.findOne({ email: email.toLowerCase() });
-        if (user && user._id.toString() !== userId.toString()) {
+        if (!user) {
+          unregisteredEmails.push(email);
+        } else if (newGroup.settings.requireVerifiedEmail && !user.emailVerified) {
+          console.log(`Skipping unverified email ${email}`);
+        } else if (user._id.toString() !== userId.toString()) {
           invitedMembers.push({
             user: user._id,
             status: 'pending',
@@ -105,6 +259,20 @@ router.post('/create', authMiddleware, async (req, res) => {
     await User.findByIdAndUpdate(userId, {
       $addToSet: { groups: newGroup._id }
     });
+
+    await recordActivity({
+      group: newGroup,
+      actor: userId,
+      action: 'group_created',
+      after: { name: newGroup.name, description: newGroup.description, type: newGroup.type }
+    });
+    for (const member of newGroup.members) {
+      await recordActivity({ group: newGroup, actor: userId, action: 'member_invited', subjectUser: member.user });
+    }
+    
+    for (const email of unregisteredEmails) {
+      await createPendingInvitation({ group: newGroup, email, inviter: req.user });
+    }
     
     res.status(201).json({
       success: true,
@@ -113,9 +281,17 @@ router.post('/create', authMiddleware, async (req, res) => {
         _id: newGroup._id,
         name: newGroup.name,
         description: newGroup.description,
+        type: newGroup.type,
+        categories: newGroup.categories,
+        recurringSuggestions: newGroup.recurringSuggestions,
+        startDate: newGroup.startDate,
+        endDate: newGroup.endDate,
+        tripStatus: getTripStatus(newGroup),
+        settings: settingsPayload(newGroup),
         memberCount: newGroup.memberCount,
         isAdmin: true
-      }
+      },
+      pendingInvitations: unregisteredEmails.length
     });
   } catch (error) {
     console.error('Group creation error:', error);
@@ -127,6 +303,14 @@ router.post('/create', authMiddleware, async (req, res) => {
   }
 });
 
+// List the group types and what each one sets up
+router.get('/templates', authMiddleware, async (req, res) => {
+  res.status(200).json({
+    success: true,
+    templates: listTemplates()
+  });
+});
+
 // Get group details
 router.get('/:groupId', authMiddleware, async (req, res) => {
   console.log('--------------------------------------------------');
@@ -154,12 +338,7 @@ router.get('/:groupId', authMiddleware, async (req, res) => {
       });
     }
     
-    const isAdmin = group.admin._id.toString() === userId.toString();
-    const isMember = group.members.some(
-      member => member.user._id.toString() === userId.toString() && member.status === 'active'
-    );
-    
-    if (!isAdmin && !isMember) {
+    if (!isActiveMember(group, userId)) {
       return res.status(403).json({
         success: false,
         message: 'You do not have access to this group'
@@ -190,7 +369,18 @@ router.get('/:groupId', authMiddleware, async (req, res) => {
         totalExpenses: group.totalExpenses,
         createdAt: group.createdAt,
         memberCount: group.memberCount,
-        isAdmin
+        archived: Boolean(group.archivedAt),
+        archivedAt: group.archivedAt,
+        archivedBy: group.archivedBy,
+        type: group.type,
+        categories: group.categories,
+        recurringSuggestions: group.recurringSuggestions,
+        startDate: group.startDate,
+        endDate: group.endDate,
+        tripStatus: getTripStatus(group),
+        settings: settingsPayload(group),
+        isAdmin: isGroupAdmin(group, userId),
+        isOwner: isGroupOwner(group, userId)
       }
     });
   } catch (error) {
@@ -204,7 +394,7 @@ router.get('/:groupId', authMiddleware, async (req, res) => {
 });
 
 // Invite member to group
-router.post('/:groupId/invite', authMiddleware, async (req, res) => {
+router.post('/:groupId/invite', authMiddleware, groupWritable, async (req, res) => {
   console.log('--------------------------------------------------');
   console.log(`[${new Date().toISOString()}] Invite member request for group: ${req.params.groupId}`);
 
@@ -220,6 +410,13 @@ router.post('/:groupId/invite', authMiddleware, async (req, res) => {
       });
     }
 
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email is required'
+      });
+    }
+
     const group = await Group.findById(groupId);
     if (!group) {
       return res.status(404).json({
@@ -228,24 +425,39 @@ router.post('/:groupId/invite', authMiddleware, async (req, res) => {
       });
     }
 
-    if (group.admin.toString() !== userId.toString()) {
+    if (!isGroupAdmin(group, userId)) {
       return res.status(403).json({
         success: false,
-        message: 'Only the group admin can invite members'
+        message: 'Only group admins can invite members'
       });
     }
 
     const userToInvite = await User.findOne({ email: email.toLowerCase() });
     if (!userToInvite) {
-      return res.status(404).json({
+      // No account yet: email them a link that also works after they sign up
+      const { invitation, link } = await createPendingInvitation({ group, email, inviter: req.user });
+      return res.status(200).json({
+        success: true,
+        message: 'Invitation emailed to a new user',
+        pendingInvitation: {
+          _id: invitation._id,
+          email: invitation.email,
+          expiresAt: invitation.expiresAt,
+          inviteLink: link
+        }
+      });
+    }
+
+    if (group.settings?.requireVerifiedEmail && !userToInvite.emailVerified) {
+      console.log('Invitee has not verified their email');
+      return res.status(400).json({
         success: false,
-        message: 'User not found'
+        message: 'This group only accepts members with a verified email address'
       });
     }
 
-    const isAlreadyMember = group.members.some(member => 
-      member.user.toString() === userToInvite._id.toString()
-    );
+    const isAlreadyMember = isGroupOwner(group, userToInvite._id) ||
+      Boolean(findMembership(group, userToInvite._id));
     
     if (isAlreadyMember) {
       return res.status(400).json({
@@ -260,7 +472,20 @@ router.post('/:groupId/invite', authMiddleware, async (req, res) => {
       role: 'member'
     });
 
-    await group.save();
+    const notification = new Notification({
+      recipient: userToInvite._id,
+      sender: userId,
+      type: 'group_invite',
+      message: `${req.user.name} invited you to join group "${group.name}"`,
+      relatedGroup: groupId
+    });
+
+    await Promise.all([
+      group.save(),
+      notification.save()
+    ]);
+    console.log(`User ${userToInvite._id} invited to group ${groupId} and notification created`);
+    await recordActivity({ group, actor: userId, action: 'member_invited', subjectUser: userToInvite._id });
 
     res.status(200).json({
       success: true,
@@ -276,4 +501,1272 @@ router.post('/:groupId/invite', authMiddleware, async (req, res) => {
   }
 });
 
-module.exports = router; 
\ No newline at end of file
+// Accept a pending invitation to a group
+router.post('/:groupId/invite/accept', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Accept invite request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const membership = group.members.find(member => 
+      member.user.toString() === userId.toString() && member.status === 'pending'
+    );
+
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation for this group'
+      });
+    }
+
+    membership.status = 'active';
+    membership.addedAt = new Date();
+    group.updatedAt = new Date();
+
+    await Promise.all([
+      group.save(),
+      User.findByIdAndUpdate(userId, { $addToSet: { groups: group._id } }),
+      Notification.updateMany(
+        { recipient: userId, relatedGroup: group._id, type: 'group_invite', isRead: false },
+        { isRead: true }
+      ),
+      Notification.insertMany(getAdminIds(group).map(adminId => ({
+        recipient: adminId,
+        sender: userId,
+        type: 'group_invite_accepted',
+        message: `${req.user.name} joined group "${group.name}"`,
+        relatedGroup: group._id
+      })))
+    ]);
+    console.log(`User ${userId} accepted invitation to group ${groupId}`);
+    await recordActivity({ group, actor: userId, action: 'member_joined' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation accepted',
+      group: {
+        _id: group._id,
+        name: group.name,
+        memberCount: group.memberCount
+      }
+    });
+  } catch (error) {
+    console.error('Accept invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+});
+
+// Decline a pending invitation to a group. Allowed in archived groups too,
+// since it only changes the invitee's own membership.
+router.post('/:groupId/invite/decline', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Decline invite request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const hasPendingInvite = group.members.some(member => 
+      member.user.toString() === userId.toString() && member.status === 'pending'
+    );
+
+    if (!hasPendingInvite) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation for this group'
+      });
+    }
+
+    group.members = group.members.filter(member => member.user.toString() !== userId.toString());
+    group.updatedAt = new Date();
+
+    await Promise.all([
+      group.save(),
+      User.findByIdAndUpdate(userId, { $pull: { groups: group._id } }),
+      Notification.updateMany(
+        { recipient: userId, relatedGroup: group._id, type: 'group_invite', isRead: false },
+        { isRead: true }
+      ),
+      Notification.insertMany(getAdminIds(group).map(adminId => ({
+        recipient: adminId,
+        sender: userId,
+        type: 'group_invite_declined',
+        message: `${req.user.name} declined the invitation to group "${group.name}"`,
+        relatedGroup: group._id
+      })))
+    ]);
+    console.log(`User ${userId} declined invitation to group ${groupId}`);
+    await recordActivity({ group, actor: userId, action: 'invitation_declined' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation declined'
+    });
+  } catch (error) {
+    console.error('Decline invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline invitation',
+      error: error.message
+    });
+  }
+});
+
+// Cancel an outstanding invitation (admin only)
+router.delete('/:groupId/invite/:userId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Cancel invite for user ${req.params.userId} in group: ${req.params.groupId}`);
+
+  try {
+    const { groupId, userId: inviteeId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(inviteeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can cancel invitations'
+      });
+    }
+
+    const hasPendingInvite = group.members.some(member => 
+      member.user.toString() === inviteeId && member.status === 'pending'
+    );
+
+    if (!hasPendingInvite) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending invitation for this user'
+      });
+    }
+
+    group.members = group.members.filter(member => member.user.toString() !== inviteeId);
+    group.updatedAt = new Date();
+
+    await Promise.all([
+      group.save(),
+      User.findByIdAndUpdate(inviteeId, { $pull: { groups: group._id } }),
+      Notification.updateMany(
+        { recipient: inviteeId, relatedGroup: group._id, type: 'group_invite', isRead: false },
+        { isRead: true }
+      ),
+      Notification.create({
+        recipient: inviteeId,
+        sender: userId,
+        type: 'group_invite_cancelled',
+        message: `Your invitation to group "${group.name}" was cancelled`,
+        relatedGroup: group._id
+      })
+    ]);
+    console.log(`Invitation for user ${inviteeId} to group ${groupId} cancelled`);
+    await recordActivity({ group, actor: userId, action: 'invitation_cancelled', subjectUser: inviteeId });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+  } catch (error) {
+    console.error('Cancel invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invitation',
+      error: error.message
+    });
+  }
+});
+
+// Preview the group behind an invitation link
+router.get('/invitations/:token', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Invitation link preview from user: ${req.user._id}`);
+
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    await invitation.populate([
+      { path: 'group', select: 'name description photoUrl' },
+      { path: 'invitedBy', select: 'name photoUrl' }
+    ]);
+
+    if (!invitation.group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      invitation: {
+        _id: invitation._id,
+        group: invitation.group,
+        invitedBy: invitation.invitedBy,
+        expiresAt: invitation.expiresAt
+      }
+    });
+  } catch (error) {
+    console.error('Invitation preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invitation',
+      error: error.message
+    });
+  }
+});
+
+// Join a group through an invitation link
+router.post('/invitations/:token/accept', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Invitation link accept from user: ${req.user._id}`);
+
+  try {
+    const invitation = await findInvitationByToken(req.params.token);
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation is invalid or has expired'
+      });
+    }
+
+    const group = await Group.findById(invitation.group);
+    if (group?.archivedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'This group is archived and is not accepting new members',
+        archived: true
+      });
+    }
+
+    if (group?.settings?.requireVerifiedEmail && !req.user.emailVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Verify your email address before joining this group'
+      });
+    }
+
+    const joined = await acceptInvitation(invitation, req.user);
+    if (!joined) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const adminIds = getAdminIds(group).filter(adminId => adminId !== req.user._id.toString());
+    await Notification.insertMany(adminIds.map(adminId => ({
+      recipient: adminId,
+      sender: req.user._id,
+      type: 'group_invite_accepted',
+      message: `${req.user.name} joined group "${group.name}"`,
+      relatedGroup: group._id
+    })));
+    console.log(`User ${req.user._id} joined group ${group._id} via invitation ${invitation._id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'You have joined the group',
+      group: {
+        _id: group._id,
+        name: group.name
+      }
+    });
+  } catch (error) {
+    console.error('Invitation accept error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept invitation',
+      error: error.message
+    });
+  }
+});
+
+// List outstanding email invitations for a group (admin only)
+router.get('/:groupId/invitations', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Pending invitations request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can view invitations'
+      });
+    }
+
+    const invitations = await PendingInvitation.find({
+      group: groupId,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    }).sort({ createdAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      invitations: invitations.map(invitation => ({
+        _id: invitation._id,
+        email: invitation.email,
+        expiresAt: invitation.expiresAt,
+        createdAt: invitation.createdAt
+      }))
+    });
+  } catch (error) {
+    console.error('Pending invitations fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load invitations',
+      error: error.message
+    });
+  }
+});
+
+// Revoke an email invitation (admin only)
+router.delete('/:groupId/invitations/:invitationId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Revoke invitation ${req.params.invitationId} for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId, invitationId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(invitationId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can cancel invitations'
+      });
+    }
+
+    const invitation = await PendingInvitation.findOneAndUpdate(
+      { _id: invitationId, group: groupId, status: 'pending' },
+      { status: 'revoked' },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invitation not found'
+      });
+    }
+    console.log(`Invitation ${invitationId} revoked`);
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'invitation_cancelled',
+      details: { email: invitation.email, invitation: invitation._id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Invitation cancelled'
+    });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel invitation',
+      error: error.message
+    });
+  }
+});
+
+// Leave a group
+router.post('/:groupId/leave', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Leave group request for: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const { settle } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    const isOwner = isGroupOwner(group, userId);
+
+    // The owner can only go if another admin is there to take over
+    const successorId = isOwner
+      ? getAdminIds(group).find(adminId => adminId !== userId.toString())
+      : null;
+    if (isOwner && !successorId) {
+      return res.status(400).json({
+        success: false,
+        message: 'You are the last admin of this group; promote another member or transfer ownership before leaving'
+      });
+    }
+
+    if (!isActiveMember(group, userId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'You are not a member of this group'
+      });
+    }
+
+    const blocked = await prepareMemberDeparture(group, userId, settle === true);
+    if (blocked) {
+      console.log('Leave blocked by outstanding balance:', blocked.netBalance);
+      return res.status(409).json(blocked);
+    }
+
+    // Expense splits are left alone so the group's history stays intact
+    if (isOwner) {
+      console.log(`Owner leaving, transferring ownership of group ${groupId} to ${successorId}`);
+      transferOwnership(group, successorId, false);
+    } else {
+      group.members = group.members.filter(member => member.user.toString() !== userId.toString());
+      group.updatedAt = new Date();
+    }
+    await group.save();
+    await User.findByIdAndUpdate(userId, { $pull: { groups: group._id } });
+
+    await notifyGroupMembers(group, {
+      sender: userId,
+      type: 'member_left',
+      message: `${req.user.name} left group "${group.name}"`
+    });
+    console.log(`User ${userId} left group ${groupId}`);
+    if (isOwner) {
+      await recordActivity({
+        group,
+        actor: userId,
+        action: 'ownership_transferred',
+        subjectUser: successorId,
+        before: { owner: userId.toString() },
+        after: { owner: successorId }
+      });
+    }
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'member_left',
+      details: { settledOutstanding: settle === true }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'You have left the group'
+    });
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to leave group',
+      error: error.message
+    });
+  }
+});
+
+// Remove a member from a group (admin only)
+router.delete('/:groupId/members/:memberId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Remove member ${req.params.memberId} from group: ${req.params.groupId}`);
+
+  try {
+    const { groupId, memberId } = req.params;
+    const { settle } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can remove members'
+      });
+    }
+
+    const membership = group.members.find(
+      member => member.user.toString() === memberId && member.status === 'active'
+    );
+    if (!membership) {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this group'
+      });
+    }
+
+    if (membership.role === 'admin' && !isGroupOwner(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can remove other admins'
+      });
+    }
+
+    const blocked = await prepareMemberDeparture(group, memberId, settle === true);
+    if (blocked) {
+      console.log('Removal blocked by outstanding balance:', blocked.netBalance);
+      return res.status(409).json(blocked);
+    }
+
+    group.members = group.members.filter(member => member.user.toString() !== memberId);
+    group.updatedAt = new Date();
+    await group.save();
+    await User.findByIdAndUpdate(memberId, { $pull: { groups: group._id } });
+
+    const removedUser = await User.findById(memberId).select('name');
+    await Promise.all([
+      Notification.create({
+        recipient: memberId,
+        sender: userId,
+        type: 'member_removed',
+        message: `You were removed from group "${group.name}"`,
+        relatedGroup: group._id
+      }),
+      notifyGroupMembers(group, {
+        sender: userId,
+        type: 'member_removed',
+        message: `${removedUser?.name || 'A member'} was removed from group "${group.name}"`
+      })
+    ]);
+    console.log(`User ${memberId} removed from group ${groupId}`);
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'member_removed',
+      subjectUser: memberId,
+      before: { role: membership.role, status: membership.status },
+      details: { settledOutstanding: settle === true }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Member removed from the group'
+    });
+  } catch (error) {
+    console.error('Remove member error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove member',
+      error: error.message
+    });
+  }
+});
+
+// Promote a member to admin, or demote an admin back to member. Any admin
+// can promote; only the owner can demote someone else.
+const changeMemberRole = (role) => async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Set role ${role} for member ${req.params.memberId} in group: ${req.params.groupId}`);
+
+  try {
+    const { groupId, memberId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change member roles'
+      });
+    }
+
+    if (isGroupOwner(group, memberId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The group owner is always an admin; transfer ownership instead'
+      });
+    }
+
+    const membership = findMembership(group, memberId);
+    if (!membership || membership.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'Member not found in this group'
+      });
+    }
+
+    const demotingOther = role === 'member' && memberId !== userId.toString();
+    if (demotingOther && !isGroupOwner(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can demote other admins'
+      });
+    }
+
+    if (membership.role === role) {
+      return res.status(400).json({
+        success: false,
+        message: role === 'admin' ? 'Member is already an admin' : 'Member is not an admin'
+      });
+    }
+
+    const previousRole = membership.role;
+    membership.role = role;
+    group.updatedAt = new Date();
+    await group.save();
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'member_role_changed',
+      subjectUser: memberId,
+      before: { role: previousRole },
+      after: { role }
+    });
+
+    if (memberId !== userId.toString()) {
+      await Notification.create({
+        recipient: memberId,
+        sender: userId,
+        type: 'member_role_changed',
+        message: role === 'admin'
+          ? `You are now an admin of group "${group.name}"`
+          : `You are no longer an admin of group "${group.name}"`,
+        relatedGroup: group._id
+      });
+    }
+    console.log(`User ${memberId} is now ${role} in group ${groupId}`);
+
+    res.status(200).json({
+      success: true,
+      message: role === 'admin' ? 'Member promoted to admin' : 'Admin demoted to member',
+      member: {
+        _id: membership.user,
+        role: membership.role
+      }
+    });
+  } catch (error) {
+    console.error('Change member role error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change member role',
+      error: error.message
+    });
+  }
+};
+
+router.post('/:groupId/members/:memberId/promote', authMiddleware, groupWritable, changeMemberRole('admin'));
+router.post('/:groupId/members/:memberId/demote', authMiddleware, groupWritable, changeMemberRole('member'));
+
+// Hand the group over to another active member (owner only). The previous
+// owner stays in the group as an admin.
+router.post('/:groupId/transfer-ownership', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Transfer ownership request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const { userId: newOwnerId } = req.body;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId) || !mongoose.Types.ObjectId.isValid(newOwnerId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid ID format'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupOwner(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can transfer ownership'
+      });
+    }
+
+    if (newOwnerId === userId.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'You already own this group'
+      });
+    }
+
+    if (findMembership(group, newOwnerId)?.status !== 'active') {
+      return res.status(404).json({
+        success: false,
+        message: 'The new owner must be an active member of the group'
+      });
+    }
+
+    transferOwnership(group, newOwnerId);
+    await group.save();
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'ownership_transferred',
+      subjectUser: newOwnerId,
+      before: { owner: userId.toString() },
+      after: { owner: newOwnerId }
+    });
+
+    const newOwner = await User.findById(newOwnerId).select('name');
+    await notifyGroupMembers(group, {
+      sender: userId,
+      type: 'member_role_changed',
+      message: `${newOwner?.name || 'A member'} is now the owner of group "${group.name}"`
+    });
+    console.log(`Ownership of group ${groupId} transferred from ${userId} to ${newOwnerId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Ownership transferred',
+      group: {
+        _id: group._id,
+        admin: group.admin
+      }
+    });
+  } catch (error) {
+    console.error('Transfer ownership error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to transfer ownership',
+      error: error.message
+    });
+  }
+});
+
+// Archive or restore a group (admins only). Archived groups stay readable
+// but refuse every change until restored.
+const setArchived = (archived) => async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] ${archived ? 'Archive' : 'Unarchive'} request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: archived ? 'Only group admins can archive the group' : 'Only group admins can unarchive the group'
+      });
+    }
+
+    if (Boolean(group.archivedAt) === archived) {
+      return res.status(400).json({
+        success: false,
+        message: archived ? 'Group is already archived' : 'Group is not archived'
+      });
+    }
+
+    group.archivedAt = archived ? new Date() : null;
+    group.archivedBy = archived ? userId : undefined;
+    group.updatedAt = new Date();
+    await group.save();
+    console.log(`Group ${groupId} ${archived ? 'archived' : 'unarchived'} by ${userId}`);
+    await recordActivity({ group, actor: userId, action: archived ? 'group_archived' : 'group_unarchived' });
+
+    res.status(200).json({
+      success: true,
+      message: archived ? 'Group archived' : 'Group restored',
+      group: {
+        _id: group._id,
+        archived: Boolean(group.archivedAt),
+        archivedAt: group.archivedAt
+      }
+    });
+  } catch (error) {
+    console.error('Archive group error:', error);
+    res.status(500).json({
+      success: false,
+      message: archived ? 'Failed to archive group' : 'Failed to unarchive group',
+      error: error.message
+    });
+  }
+};
+
+router.post('/:groupId/archive', authMiddleware, setArchived(true));
+router.post('/:groupId/unarchive', authMiddleware, setArchived(false));
+
+// Permanently delete a group (owner only). Refused while anyone in the group
+// still owes or is owed money, since the expense history goes with it.
+router.delete('/:groupId', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Delete group request for: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupOwner(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the group owner can delete the group'
+      });
+    }
+
+    const outstanding = await getOutstandingBalances(group._id);
+    if (Object.keys(outstanding).length > 0) {
+      console.log('Delete blocked by outstanding balances:', outstanding);
+      return res.status(409).json({
+        success: false,
+        message: 'Settle all balances in the group before deleting it',
+        outstandingBalances: Object.fromEntries(
+          Object.entries(outstanding).map(([memberId, net]) => [memberId, fromMinor(net, group.settings?.defaultCurrency)])
+        ),
+        requiresSettlement: true
+      });
+    }
+
+    // Let everyone know before the group's notifications are cleared out
+    const memberIds = group.members
+      .filter(member => member.status === 'active' && idOf(member.user) !== userId.toString())
+      .map(member => member.user);
+
+    await deleteGroupCascade(group._id);
+
+    await Notification.insertMany(memberIds.map(recipient => ({
+      recipient,
+      sender: userId,
+      type: 'group_deleted',
+      message: `Group "${group.name}" was deleted`
+    })));
+    console.log(`Group ${groupId} deleted by ${userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Group deleted'
+    });
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete group',
+      error: error.message
+    });
+  }
+});
+
+// Update a group's settings (admins only). Only the fields sent are changed.
+router.patch('/:groupId/settings', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Update settings request for group: ${req.params.groupId}`);
+  console.log('Request body:', req.body);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change group settings'
+      });
+    }
+
+    const hasExpenses = req.body.defaultCurrency !== undefined && Boolean(
+      await Expense.exists({ group: groupId }) || await RecurringExpense.exists({ group: groupId })
+    );
+    const { updates, errors } = buildSettingsUpdate(group, req.body, { hasExpenses });
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid settings',
+        errors
+      });
+    }
+
+    if (Object.keys(updates).length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No settings to update'
+      });
+    }
+
+    const previousSettings = settingsPayload(group);
+    group.set(updates);
+    group.updatedAt = new Date();
+    await group.save();
+    await recordActivity({
+      group,
+      actor: userId,
+      action: 'settings_updated',
+      before: previousSettings,
+      after: settingsPayload(group)
+    });
+    console.log(`Settings updated for group ${groupId}:`, Object.keys(updates));
+
+    res.status(200).json({
+      success: true,
+      message: 'Group settings updated',
+      settings: settingsPayload(group)
+    });
+  } catch (error) {
+    console.error('Update group settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group settings',
+      error: error.message
+    });
+  }
+});
+
+// Load the group and let only its admins through. Runs before photoUpload
+// so nobody else can make the server buffer an upload.
+const photoAdminOnly = async (req, res, next) => {
+  try {
+    const { groupId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, req.user._id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change the group photo'
+      });
+    }
+
+    req.group = group;
+    next();
+  } catch (error) {
+    console.error('Group photo permission check error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group photo',
+      error: error.message
+    });
+  }
+};
+
+// Upload a new group photo (admins only, multipart field "photo")
+router.put('/:groupId/photo', authMiddleware, groupWritable, photoAdminOnly, photoUpload, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Group photo upload for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+    const group = req.group;
+
+    const previousKey = group.photoStorageKey;
+    const stored = await storePhoto(`groups/${group._id}`, req.file.buffer);
+    group.photoUrl = stored.photoUrl;
+    group.photoThumbnailUrl = stored.thumbnailUrl;
+    group.photoStorageKey = stored.storageKey;
+    group.updatedAt = new Date();
+    await group.save();
+
+    await removePhoto(previousKey);
+    console.log(`Photo updated for group ${groupId}`);
+    await recordActivity({ group, actor: userId, action: 'photo_updated', after: { photoUrl: group.photoUrl } });
+
+    res.status(200).json({
+      success: true,
+      message: 'Group photo updated',
+      photoUrl: group.photoUrl,
+      photoThumbnailUrl: group.photoThumbnailUrl
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Group photo upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update group photo',
+      error: error.message
+    });
+  }
+});
+
+// Remove the group photo (admins only)
+router.delete('/:groupId/photo', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Group photo removal for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isGroupAdmin(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can change the group photo'
+      });
+    }
+
+    const previousKey = group.photoStorageKey;
+    group.photoUrl = undefined;
+    group.photoThumbnailUrl = undefined;
+    group.photoStorageKey = undefined;
+    group.updatedAt = new Date();
+    await group.save();
+
+    await removePhoto(previousKey);
+    await recordActivity({ group, actor: userId, action: 'photo_removed' });
+
+    res.status(200).json({
+      success: true,
+      message: 'Group photo removed'
+    });
+  } catch (error) {
+    console.error('Group photo removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove group photo',
+      error: error.message
+    });
+  }
+});
+
+// Paginated activity log for a group, newest first (?page=1&limit=20)
+router.get('/:groupId/activity', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Activity request for group: ${req.params.groupId}`);
+
+  try {
+    const { groupId } = req.params;
+    const userId = req.user._id;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+
+    if (!mongoose.Types.ObjectId.isValid(groupId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid group ID'
+      });
+    }
+
+    const group = await Group.findById(groupId);
+    if (!group) {
+      return res.status(404).json({
+        success: false,
+        message: 'Group not found'
+      });
+    }
+
+    if (!isActiveMember(group, userId)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You do not have access to this group'
+      });
+    }
+
+    const { entries, pagination } = await listActivity(group._id, { page, limit });
+    console.log(`Returning ${entries.length} of ${pagination.total} activity entries`);
+
+    res.status(200).json({
+      success: true,
+      activity: entries.map(entry => ({
+        _id: entry._id,
+        action: entry.action,
+        actor: entry.actor,
+        subjectUser: entry.subjectUser,
+        expense: entry.expense,
+        before: entry.before,
+        after: entry.after,
+        details: entry.details,
+        createdAt: entry.createdAt
+      })),
+      pagination
+    });
+  } catch (error) {
+    console.error('Activity fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load group activity',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
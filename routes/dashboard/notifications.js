@@ -15,7 +15,7 @@ router.get('/', authMiddleware, async (req, res) => {
       .sort({ createdAt: -1 })
       .populate('sender', 'name email photoUrl')
       .populate('relatedGroup', 'name')
-      .populate('relatedExpense', 'description amount');
+      .populate('relatedExpense', 'description amountMinor currency');
 
     res.status(200).json({
       success: true,
@@ -0,0 +1,524 @@
+// routes/dashboard/recurring.js - Recurring expense templates for a group
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const mongoose = require('mongoose');
+const authMiddleware = require('../../middleware/auth');
+const groupWritable = require('../../middleware/groupWritable');
+const Group = require('../../models/Group');
+const RecurringExpense = require('../../models/RecurringExpense');
+const { idOf, canManageExpenses, isGroupAdmin, isActiveMember } = require('../../utils/groupAccess');
+const { isCurrencyCode } = require('../../utils/groupSettings');
+const { recordActivity } = require('../../utils/activity');
+const { toMinor, fromMinor, allocate } = require('../../utils/money');
+const { SplitError } = require('../../utils/splits');
+const { RecurrenceError, nextOccurrence, isOccurrence } = require('../../utils/recurrence');
+const {
+  buildRecurringFields,
+  recurringInputs,
+  recurringPayload
+} = require('../../utils/recurringExpenses');
+
+const SCHEDULE_FIELDS = ['frequency', 'interval', 'cron', 'startDate', 'endDate'];
+
+// Look up the group and, for routes with :recurringId, the template.
+// Sends the error response itself and returns null when either is missing
+// or the user is not an active member.
+const loadGroupAndTemplate = async (req, res) => {
+  const { groupId, recurringId } = req.params;
+  const userId = req.user._id;
+
+  if (!mongoose.Types.ObjectId.isValid(groupId) || (recurringId !== undefined && !mongoose.Types.ObjectId.isValid(recurringId))) {
+    console.log('Invalid group or recurring expense ID format');
+    res.status(400).json({
+      success: false,
+      message: 'Invalid group or recurring expense ID'
+    });
+    return null;
+  }
+
+  const group = await Group.findById(groupId);
+  if (!group) {
+    console.log('Group not found');
+    res.status(404).json({
+      success: false,
+      message: 'Group not found'
+    });
+    return null;
+  }
+
+  if (!isActiveMember(group, userId)) {
+    console.log('User not authorized to access recurring expenses');
+    res.status(403).json({
+      success: false,
+      message: 'You do not have access to this group'
+    });
+    return null;
+  }
+
+  if (recurringId === undefined) {
+    return { group };
+  }
+
+  const template = await RecurringExpense.findOne({ _id: recurringId, group: groupId });
+  if (!template) {
+    console.log('Recurring expense not found');
+    res.status(404).json({
+      success: false,
+      message: 'Recurring expense not found'
+    });
+    return null;
+  }
+
+  return { group, template };
+};
+
+// The template's creator (if group settings let members edit expenses) or a
+// group admin may change a template
+const canManageTemplate = (group, template, userId) => {
+  if (isGroupAdmin(group, userId)) {
+    return true;
+  }
+  return idOf(template.createdBy) === userId.toString() && canManageExpenses(group, userId, 'edit');
+};
+
+const rejectUnlessManager = (res, group, template, userId) => {
+  if (canManageTemplate(group, template, userId)) {
+    return false;
+  }
+  console.log('User not authorized to manage recurring expense');
+  res.status(403).json({
+    success: false,
+    message: 'Only the person who set up this recurring expense or a group admin can change it'
+  });
+  return true;
+};
+
+// Report SplitError and RecurrenceError as bad requests; anything else is
+// rethrown for the route's 500 handler
+const sendValidationError = (res, error) => {
+  if (!(error instanceof SplitError) && !(error instanceof RecurrenceError)) {
+    throw error;
+  }
+  console.log('Invalid recurring expense:', error.message);
+  return res.status(400).json({
+    success: false,
+    message: error.message
+  });
+};
+
+// List a group's recurring expenses, with the suggestions from the group's
+// template for ones it might want to set up
+router.get('/', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Fetching recurring expenses for group: ${req.params.groupId}`);
+
+  try {
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group } = loaded;
+
+    const templates = await RecurringExpense.find({ group: group._id })
+      .populate('createdBy', 'name email photoUrl')
+      .sort({ nextOccurrence: 1, createdAt: 1 });
+
+    console.log(`Found ${templates.length} recurring expenses`);
+    res.status(200).json({
+      success: true,
+      recurringExpenses: templates.map(recurringPayload),
+      suggestions: group.recurringSuggestions || []
+    });
+  } catch (error) {
+    console.error('Fetch recurring expenses error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recurring expenses',
+      error: error.message
+    });
+  }
+});
+
+// Set up a recurring expense. Takes the same fields as adding an expense
+// (except itemized splits) plus frequency, interval, cron, startDate and
+// endDate. The first expense is created at the first occurrence from now
+// on; occurrences before today are not backfilled.
+router.post('/', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Create recurring expense for group: ${req.params.groupId}`);
+  console.log('Request body:', req.body);
+
+  try {
+    const { description, amount, currency } = req.body;
+    const userId = req.user._id;
+
+    if (!description || !amount || amount <= 0) {
+      console.log('Invalid recurring expense data');
+      return res.status(400).json({
+        success: false,
+        message: 'Description and amount (greater than 0) are required'
+      });
+    }
+
+    if (currency && !isCurrencyCode(currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a three-letter currency code'
+      });
+    }
+
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group } = loaded;
+
+    if (!canManageExpenses(group, userId, 'add')) {
+      console.log('Group settings do not let members add expenses');
+      return res.status(403).json({
+        success: false,
+        message: 'Only group admins can add expenses to this group'
+      });
+    }
+
+    let fields;
+    try {
+      fields = buildRecurringFields(group, req.body, userId);
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    const now = new Date();
+    const template = await RecurringExpense.create({
+      ...fields,
+      group: group._id,
+      createdBy: userId,
+      nextOccurrence: nextOccurrence(fields, now)
+    });
+    console.log(`Recurring expense created with ID: ${template._id}, next occurrence ${template.nextOccurrence?.toISOString()}`);
+
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_created',
+      after: recurringPayload(template),
+      details: { recurringExpense: template._id.toString() }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: template.nextOccurrence
+        ? 'Recurring expense set up successfully'
+        : 'Recurring expense set up, but its schedule has already ended',
+      recurringExpense: recurringPayload(template)
+    });
+  } catch (error) {
+    console.error('Create recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set up recurring expense',
+      error: error.message
+    });
+  }
+});
+
+// Edit a recurring expense. Only expenses created from now on change;
+// ones already created are edited like any other expense.
+router.patch('/:recurringId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Edit recurring expense ${req.params.recurringId} in group: ${req.params.groupId}`);
+  console.log('Request body:', req.body);
+
+  try {
+    const userId = req.user._id;
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group, template } = loaded;
+
+    if (rejectUnlessManager(res, group, template, userId)) {
+      return;
+    }
+
+    if (req.body.currency && !isCurrencyCode(req.body.currency)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Currency must be a three-letter currency code'
+      });
+    }
+
+    const input = { ...recurringInputs(template), ...req.body };
+    // A new paidBy replaces the previous payers; a new amount alone shares
+    // the previous payers' parts out again in the same proportions
+    if (req.body.payers === undefined && req.body.paidBy !== undefined) {
+      input.payers = undefined;
+    } else if (req.body.payers === undefined && req.body.amount !== undefined && template.payers.length > 0) {
+      const amountMinor = toMinor(req.body.amount, input.currency);
+      if (amountMinor > 0) {
+        const parts = allocate(amountMinor, template.payers.map(payer => payer.amountMinor));
+        input.payers = template.payers.map((payer, index) => ({
+          user: idOf(payer.user),
+          amount: fromMinor(parts[index], input.currency)
+        }));
+      }
+    }
+
+    let fields;
+    try {
+      fields = buildRecurringFields(group, input, userId);
+    } catch (error) {
+      return sendValidationError(res, error);
+    }
+
+    const before = recurringPayload(template);
+    const now = new Date();
+    const scheduleChanged = SCHEDULE_FIELDS.some(field => req.body[field] !== undefined);
+    template.set({ ...fields, updatedAt: now });
+    if (scheduleChanged) {
+      // Skips only carry over while they are still upcoming occurrences
+      template.nextOccurrence = nextOccurrence(template, now);
+      template.skippedDates = template.skippedDates.filter(date => date >= now && isOccurrence(template, date));
+    }
+    await template.save();
+    console.log(`Recurring expense ${template._id} updated, next occurrence ${template.nextOccurrence?.toISOString()}`);
+
+    const after = recurringPayload(template);
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_edited',
+      before,
+      after,
+      details: { recurringExpense: template._id.toString() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense updated; expenses already created are unchanged',
+      recurringExpense: after
+    });
+  } catch (error) {
+    console.error('Edit recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update recurring expense',
+      error: error.message
+    });
+  }
+});
+
+// Stop creating expenses until the template is resumed
+router.post('/:recurringId/pause', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Pause recurring expense ${req.params.recurringId} in group: ${req.params.groupId}`);
+
+  try {
+    const userId = req.user._id;
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group, template } = loaded;
+
+    if (rejectUnlessManager(res, group, template, userId)) {
+      return;
+    }
+
+    if (template.pausedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring expense is already paused'
+      });
+    }
+
+    const now = new Date();
+    template.pausedAt = now;
+    template.pausedBy = userId;
+    template.updatedAt = now;
+    await template.save();
+    console.log(`Recurring expense ${template._id} paused`);
+
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_paused',
+      details: { recurringExpense: template._id.toString(), description: template.description }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense paused',
+      recurringExpense: recurringPayload(template)
+    });
+  } catch (error) {
+    console.error('Pause recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to pause recurring expense',
+      error: error.message
+    });
+  }
+});
+
+// Start creating expenses again from the next occurrence after now.
+// Occurrences missed while paused are not created.
+router.post('/:recurringId/resume', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Resume recurring expense ${req.params.recurringId} in group: ${req.params.groupId}`);
+
+  try {
+    const userId = req.user._id;
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group, template } = loaded;
+
+    if (rejectUnlessManager(res, group, template, userId)) {
+      return;
+    }
+
+    if (!template.pausedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'This recurring expense is not paused'
+      });
+    }
+
+    const now = new Date();
+    template.pausedAt = null;
+    template.pausedBy = undefined;
+    template.lastError = undefined;
+    template.nextOccurrence = nextOccurrence(template, now);
+    template.skippedDates = template.skippedDates.filter(date => date >= now);
+    template.updatedAt = now;
+    await template.save();
+    console.log(`Recurring expense ${template._id} resumed, next occurrence ${template.nextOccurrence?.toISOString()}`);
+
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_resumed',
+      details: { recurringExpense: template._id.toString(), description: template.description }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense resumed',
+      recurringExpense: recurringPayload(template)
+    });
+  } catch (error) {
+    console.error('Resume recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to resume recurring expense',
+      error: error.message
+    });
+  }
+});
+
+// Skip one upcoming occurrence, the next one unless `date` picks another
+router.post('/:recurringId/skip', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Skip occurrence of recurring expense ${req.params.recurringId} in group: ${req.params.groupId}`);
+  console.log('Request body:', req.body);
+
+  try {
+    const userId = req.user._id;
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group, template } = loaded;
+
+    if (rejectUnlessManager(res, group, template, userId)) {
+      return;
+    }
+
+    const date = req.body.date !== undefined ? new Date(req.body.date) : template.nextOccurrence;
+    if (!date || isNaN(date) || date < new Date() || !isOccurrence(template, date)) {
+      return res.status(400).json({
+        success: false,
+        message: 'date must be an upcoming occurrence of this recurring expense'
+      });
+    }
+
+    if (template.skippedDates.some(skipped => skipped.getTime() === date.getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'This occurrence is already skipped'
+      });
+    }
+
+    template.skippedDates.push(date);
+    template.updatedAt = new Date();
+    await template.save();
+    console.log(`Recurring expense ${template._id} will skip ${date.toISOString()}`);
+
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_skipped',
+      details: { recurringExpense: template._id.toString(), description: template.description, date }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Occurrence skipped',
+      recurringExpense: recurringPayload(template)
+    });
+  } catch (error) {
+    console.error('Skip recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to skip occurrence',
+      error: error.message
+    });
+  }
+});
+
+// Stop the recurring expense for good. Expenses it already created stay.
+router.delete('/:recurringId', authMiddleware, groupWritable, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Delete recurring expense ${req.params.recurringId} in group: ${req.params.groupId}`);
+
+  try {
+    const userId = req.user._id;
+    const loaded = await loadGroupAndTemplate(req, res);
+    if (!loaded) {
+      return;
+    }
+    const { group, template } = loaded;
+
+    if (rejectUnlessManager(res, group, template, userId)) {
+      return;
+    }
+
+    const before = recurringPayload(template);
+    await RecurringExpense.deleteOne({ _id: template._id });
+    console.log(`Recurring expense ${template._id} deleted`);
+
+    await recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'recurring_expense_deleted',
+      before,
+      details: { recurringExpense: template._id.toString() }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Recurring expense deleted; expenses already created are unchanged'
+    });
+  } catch (error) {
+    console.error('Delete recurring expense error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete recurring expense',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -2,7 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { revokeSession, revokeAllSessions } = require('../utils/tokens');
+const { validatePassword, hashPassword, verifyCurrentPassword } = require('../utils/passwords');
+const { exportUserData, findOpenBalances, deleteUserAccount } = require('../utils/accounts');
+const { confirmIdentity } = require('../utils/reauth');
+const { storePhoto, removePhoto, InvalidImageError } = require('../utils/images');
+const photoUpload = require('../middleware/photoUpload');
 
 // Get user profile data
 router.get('/profile', authMiddleware, async (req, res) => {
@@ -61,4 +69,312 @@ router.get('/profile', authMiddleware, async (req, res) => {
   console.log('--------------------------------------------------');
 });
 
+// List the devices the user is currently signed in on
+router.get('/sessions', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Sessions request for user: ${req.user._id}`);
+
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastSeenAt: -1 });
+
+    console.log(`Found ${sessions.length} active sessions`);
+
+    res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        _id: session._id,
+        platform: session.platform,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        isCurrent: session._id.toString() === req.authSession._id.toString()
+      }))
+    });
+    console.log('Sessions response sent successfully');
+  } catch (error) {
+    console.error('Sessions fetch error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Sign out one device, e.g. a lost phone
+router.delete('/sessions/:sessionId', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Revoke session ${req.params.sessionId} for user: ${req.user._id}`);
+
+  try {
+    const { sessionId } = req.params;
+
+    if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid session ID'
+      });
+    }
+
+    const session = await Session.findOne({ _id: sessionId, user: req.user._id });
+    if (!session || !session.isActive) {
+      console.log('Session not found or already ended');
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    await revokeSession(session._id, 'revoked_by_user');
+    console.log(`Session ${sessionId} revoked`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Session signed out',
+      isCurrent: session._id.toString() === req.authSession._id.toString()
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to sign out session',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Change the password; requires the current one. Wrong guesses count
+// towards the login lockout. A first password is added through
+// POST /api/auth/identities/password.
+router.put('/password', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Change password request for user: ${req.user._id}`);
+
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const user = req.user;
+
+    if (!user.password) {
+      console.log('Change password failed: Account has no password');
+      return res.status(400).json({
+        success: false,
+        message: 'This account has no password yet, add one as a sign-in method first'
+      });
+    }
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        message: 'Current and new password are required'
+      });
+    }
+
+    const check = await verifyCurrentPassword(user, currentPassword, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+    if (check.lockedOut) {
+      console.log(`Change password blocked: Locked out for another ${check.retryAfter}s`);
+      res.set('Retry-After', String(check.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Too many failed attempts, please try again later',
+        retryAfter: check.retryAfter
+      });
+    }
+    if (!check.ok) {
+      console.log('Change password failed: Current password is wrong');
+      return res.status(401).json({
+        success: false,
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const passwordErrors = validatePassword(newPassword, { email: user.email });
+    if (passwordErrors.length > 0) {
+      console.log('Change password failed: Password does not meet policy');
+      return res.status(400).json({
+        success: false,
+        message: passwordErrors[0],
+        errors: passwordErrors
+      });
+    }
+
+    user.password = await hashPassword(newPassword);
+    await user.save();
+
+    const revokedCount = await revokeAllSessions(user._id, 'password_changed', req.authSession._id);
+    console.log(`Password changed, revoked ${revokedCount} other sessions`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Password changed successfully',
+      revokedSessions: revokedCount
+    });
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to change password',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Download everything stored about the current user as JSON
+router.get('/export', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Data export request for user: ${req.user._id}`);
+
+  try {
+    const data = await exportUserData(req.user);
+    console.log(`Exported ${data.groups.length} groups, ${data.expenses.length} expenses, ${data.notifications.length} notifications`);
+
+    res.set('Content-Disposition', `attachment; filename="account-export-${req.user._id}.json"`);
+    res.status(200).json({
+      success: true,
+      data
+    });
+    console.log('Data export response sent successfully');
+  } catch (error) {
+    console.error('Data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to export account data',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Permanently delete the current user's account. Needs the current
+// password or a fresh Google sign-in, plus 2FA when enabled.
+router.delete('/', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Account deletion request for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+
+    const openBalances = await findOpenBalances(user._id);
+    if (openBalances.length > 0) {
+      console.log(`Account deletion failed: Open balances in ${openBalances.length} groups`);
+      return res.status(409).json({
+        success: false,
+        message: 'Settle up in your groups before deleting your account',
+        requiresSettlement: true,
+        groups: openBalances
+      });
+    }
+
+    // Confirmed like any sensitive change: the current password or a fresh
+    // Google sign-in, plus a 2FA code when 2FA is on
+    const failure = await confirmIdentity(user, req.body, { ip: req.ip, userAgent: req.get('user-agent') });
+    if (failure) {
+      console.log('Account deletion failed: Identity not confirmed');
+      const { status, retryAfter, ...body } = failure;
+      if (retryAfter) {
+        res.set('Retry-After', String(retryAfter));
+      }
+      return res.status(status).json({ success: false, ...body, retryAfter });
+    }
+
+    await deleteUserAccount(user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Your account has been deleted'
+    });
+    console.log('Account deletion response sent successfully');
+  } catch (error) {
+    console.error('Account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete account',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Upload a new profile photo (multipart field "photo")
+router.put('/photo', authMiddleware, photoUpload, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Profile photo upload for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+    const previousKey = user.photoStorageKey;
+
+    const stored = await storePhoto(`users/${user._id}`, req.file.buffer);
+    user.photoUrl = stored.photoUrl;
+    user.photoThumbnailUrl = stored.thumbnailUrl;
+    user.photoStorageKey = stored.storageKey;
+    await user.save();
+
+    await removePhoto(previousKey);
+    console.log('Profile photo updated');
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile photo updated',
+      photoUrl: user.photoUrl,
+      photoThumbnailUrl: user.photoThumbnailUrl
+    });
+  } catch (error) {
+    if (error instanceof InvalidImageError) {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Profile photo upload error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update profile photo',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
+// Remove the profile photo
+router.delete('/photo', authMiddleware, async (req, res) => {
+  console.log('--------------------------------------------------');
+  console.log(`[${new Date().toISOString()}] Profile photo removal for user: ${req.user._id}`);
+
+  try {
+    const user = req.user;
+    const previousKey = user.photoStorageKey;
+
+    user.photoUrl = undefined;
+    user.photoThumbnailUrl = undefined;
+    user.photoStorageKey = undefined;
+    await user.save();
+
+    await removePhoto(previousKey);
+
+    res.status(200).json({
+      success: true,
+      message: 'Profile photo removed'
+    });
+  } catch (error) {
+    console.error('Profile photo removal error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to remove profile photo',
+      error: error.message
+    });
+  }
+  console.log('--------------------------------------------------');
+});
+
 module.exports = router;
\ No newline at end of file
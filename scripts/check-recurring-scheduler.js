@@ -0,0 +1,254 @@
+// scripts/check-recurring-scheduler.js - Drive the recurring expense scheduler through a fake clock
+// Usage: node scripts/check-recurring-scheduler.js (VERBOSE=1 for the scheduler's own logs)
+// Needs no database: the models' queries are replaced with an in-memory
+// store that enforces the { recurringExpense, date } unique index, so
+// catch-up, skipped dates, pausing and retries can be checked offline.
+const assert = require('assert');
+const mongoose = require('mongoose');
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const Activity = require('../models/Activity');
+const Notification = require('../models/Notification');
+const { createRecurringScheduler } = require('../utils/recurringExpenses');
+const { nextOccurrence } = require('../utils/recurrence');
+
+const print = console.log;
+if (!process.env.VERBOSE) {
+  console.log = () => {};
+  console.error = () => {};
+}
+
+// In-memory collections, reset for each check
+let db;
+// Failures to inject into the next Expense.create or schedule advance
+let failures;
+
+const reset = () => {
+  db = { groups: new Map(), templates: new Map(), expenses: [] };
+  failures = { create: 0, advance: 0 };
+};
+
+const sameTime = (a, b) => Boolean(a && b) && a.getTime() === b.getTime();
+
+const applyUpdate = (doc, update) => {
+  for (const [key, value] of Object.entries(update)) {
+    if (key === '$inc') {
+      Object.entries(value).forEach(([field, by]) => doc.set(field, doc.get(field) + by));
+    } else if (key === '$pull') {
+      Object.entries(value).forEach(([field, date]) =>
+        doc.set(field, doc.get(field).filter(item => !sameTime(item, date))));
+    } else {
+      doc.set(key, value);
+    }
+  }
+};
+
+Group.findById = async (id) => db.groups.get(id.toString()) || null;
+Group.findByIdAndUpdate = async (id, update) => {
+  const group = db.groups.get(id.toString());
+  if (group) {
+    applyUpdate(group, update);
+  }
+  return group || null;
+};
+
+RecurringExpense.find = async ({ nextOccurrence }) =>
+  [...db.templates.values()].filter(template =>
+    template.pausedAt === null && template.nextOccurrence && template.nextOccurrence <= nextOccurrence.$lte);
+RecurringExpense.updateOne = async ({ _id }, update) => {
+  applyUpdate(db.templates.get(_id.toString()), update);
+  return { matchedCount: 1 };
+};
+RecurringExpense.findOneAndUpdate = async ({ _id, nextOccurrence, pausedAt }, update) => {
+  if (failures.advance > 0) {
+    failures.advance--;
+    throw new Error('Simulated lost connection while advancing the schedule');
+  }
+  const template = db.templates.get(_id.toString());
+  if (!template || !sameTime(template.nextOccurrence, nextOccurrence) || template.pausedAt !== pausedAt) {
+    return null;
+  }
+  applyUpdate(template, update);
+  return template;
+};
+
+Expense.create = async (fields) => {
+  if (failures.create > 0) {
+    failures.create--;
+    throw new Error('Simulated lost connection while creating the expense');
+  }
+  const expense = new Expense(fields);
+  await expense.validate();
+  if (db.expenses.some(existing =>
+    existing.recurringExpense.equals(expense.recurringExpense) && sameTime(existing.date, expense.date))) {
+    const error = new Error('E11000 duplicate key error collection: expenses index: recurringExpense_1_date_1');
+    error.code = 11000;
+    throw error;
+  }
+  db.expenses.push(expense);
+  return expense;
+};
+
+Activity.create = async () => {};
+Notification.insertMany = async () => [];
+
+const admin = new mongoose.Types.ObjectId();
+const member = new mongoose.Types.ObjectId();
+
+const addGroup = () => {
+  const group = new Group({
+    name: 'Flat',
+    admin,
+    members: [{ user: member, status: 'active' }]
+  });
+  db.groups.set(group._id.toString(), group);
+  return group;
+};
+
+const addTemplate = (group, schedule) => {
+  const template = new RecurringExpense({
+    group: group._id,
+    createdBy: admin,
+    description: 'Rent',
+    amountMinor: 100000,
+    paidBy: admin,
+    ...schedule,
+    nextOccurrence: nextOccurrence(schedule, schedule.startDate)
+  });
+  db.templates.set(template._id.toString(), template);
+  return template;
+};
+
+const expenseDates = (template) => db.expenses
+  .filter(expense => expense.recurringExpense.equals(template._id))
+  .map(expense => expense.date.toISOString());
+
+// A scheduler whose clock only moves when the check says so
+const fakeClock = (start) => {
+  let time = new Date(start);
+  const scheduler = createRecurringScheduler({ now: () => time });
+  return {
+    runDue: scheduler.runDue,
+    set: (when) => { time = new Date(when); }
+  };
+};
+
+const checks = {
+  'catches up missed occurrences, at most 12 per run': async () => {
+    const template = addTemplate(addGroup(), { frequency: 'daily', startDate: new Date('2026-01-01T09:00:00Z') });
+    const clock = fakeClock('2026-01-31T12:00:00Z');
+
+    assert.strictEqual(await clock.runDue(), 12);
+    assert.strictEqual(await clock.runDue(), 12);
+    assert.strictEqual(await clock.runDue(), 7);
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.strictEqual(new Set(expenseDates(template)).size, 31);
+    assert.strictEqual(template.occurrenceCount, 31);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-02-01T09:00:00.000Z');
+  },
+
+  'skips skipped dates and forgets them once passed': async () => {
+    const template = addTemplate(addGroup(), {
+      frequency: 'weekly',
+      startDate: new Date('2026-01-05T09:00:00Z'),
+      skippedDates: [new Date('2026-01-19T09:00:00Z')]
+    });
+    const clock = fakeClock('2026-01-27T00:00:00Z');
+
+    assert.strictEqual(await clock.runDue(), 3);
+    assert.deepStrictEqual(expenseDates(template), [
+      '2026-01-05T09:00:00.000Z',
+      '2026-01-12T09:00:00.000Z',
+      '2026-01-26T09:00:00.000Z'
+    ]);
+    assert.strictEqual(template.skippedDates.length, 0);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-02-02T09:00:00.000Z');
+  },
+
+  'pauses a template that can no longer be split': async () => {
+    const group = addGroup();
+    const template = addTemplate(group, { frequency: 'monthly', startDate: new Date('2026-03-01T09:00:00Z') });
+    template.paidBy = member;
+    group.members[0].status = 'pending';
+    const clock = fakeClock('2026-03-02T00:00:00Z');
+
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.ok(template.pausedAt);
+    assert.strictEqual(template.lastError.message, 'Every payer must be an active member of the group');
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-03-01T09:00:00.000Z');
+
+    // Paused templates are left alone as time goes on
+    clock.set('2026-06-02T00:00:00Z');
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.strictEqual(db.expenses.length, 0);
+  },
+
+  'retries an occurrence whose expense could not be created': async () => {
+    const template = addTemplate(addGroup(), { frequency: 'monthly', startDate: new Date('2026-04-01T09:00:00Z') });
+    const clock = fakeClock('2026-04-01T10:00:00Z');
+
+    failures.create = 1;
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-04-01T09:00:00.000Z');
+
+    assert.strictEqual(await clock.runDue(), 1);
+    assert.deepStrictEqual(expenseDates(template), ['2026-04-01T09:00:00.000Z']);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-05-01T09:00:00.000Z');
+  },
+
+  'does not create an occurrence twice when advancing the schedule fails': async () => {
+    const template = addTemplate(addGroup(), { frequency: 'monthly', startDate: new Date('2026-04-01T09:00:00Z') });
+    const clock = fakeClock('2026-04-01T10:00:00Z');
+
+    // The expense is created but nextOccurrence stays put
+    failures.advance = 1;
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-04-01T09:00:00.000Z');
+
+    // The retry hits the unique index, moves on and creates nothing new
+    assert.strictEqual(await clock.runDue(), 0);
+    assert.deepStrictEqual(expenseDates(template), ['2026-04-01T09:00:00.000Z']);
+    assert.strictEqual(template.occurrenceCount, 1);
+    assert.strictEqual(template.nextOccurrence.toISOString(), '2026-05-01T09:00:00.000Z');
+  },
+
+  'reads a stepped day of month with a weekday like cron does': async () => {
+    // Odd days of the month that are also Mondays
+    const template = addTemplate(addGroup(), {
+      frequency: 'cron',
+      cron: '0 9 */2 * 1',
+      startDate: new Date('2026-06-01T00:00:00Z')
+    });
+    const clock = fakeClock('2026-07-14T00:00:00Z');
+
+    assert.strictEqual(await clock.runDue(), 4);
+    assert.deepStrictEqual(expenseDates(template), [
+      '2026-06-01T09:00:00.000Z',
+      '2026-06-15T09:00:00.000Z',
+      '2026-06-29T09:00:00.000Z',
+      '2026-07-13T09:00:00.000Z'
+    ]);
+  }
+};
+
+const run = async () => {
+  let failed = 0;
+  for (const [name, check] of Object.entries(checks)) {
+    reset();
+    try {
+      await check();
+      print(`ok - ${name}`);
+    } catch (error) {
+      failed++;
+      print(`not ok - ${name}`);
+      print(error);
+    }
+  }
+  print(`${Object.keys(checks).length - failed} of ${Object.keys(checks).length} checks passed`);
+  if (failed > 0) {
+    process.exit(1);
+  }
+};
+
+run();
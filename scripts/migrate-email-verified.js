@@ -0,0 +1,30 @@
+// scripts/migrate-email-verified.js - Mark existing Google sign-in accounts as verified
+// Usage: node scripts/migrate-email-verified.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // Accounts created through Google Sign-In got their address from Google;
+  // email/password accounts stay unverified until they use the emailed link
+  const result = await User.updateMany(
+    {
+      googleId: { $exists: true, $not: /^local_/ },
+      emailVerified: { $ne: true }
+    },
+    { emailVerified: true, emailVerifiedAt: new Date() }
+  );
+  console.log(`Marked ${result.modifiedCount} Google users as verified`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
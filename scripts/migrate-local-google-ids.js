@@ -0,0 +1,27 @@
+// scripts/migrate-local-google-ids.js - Remove placeholder googleIds from email/password accounts
+// Usage: node scripts/migrate-local-google-ids.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const User = require('../models/User');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // Registration used to store `local_<timestamp>_<random>` as googleId,
+  // which blocked linking a real Google account later
+  const result = await User.updateMany(
+    { googleId: /^local_/ },
+    { $unset: { googleId: 1 } }
+  );
+  console.log(`Removed placeholder googleId from ${result.modifiedCount} users`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
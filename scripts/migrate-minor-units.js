@@ -0,0 +1,92 @@
+// scripts/migrate-minor-units.js - Convert stored expense amounts to integer minor units
+// Usage: node scripts/migrate-minor-units.js
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const Expense = require('../models/Expense');
+const Group = require('../models/Group');
+const { toMinor, sumMinor, allocate } = require('../utils/money');
+
+dotenv.config();
+
+// Old splits were floats (100 / 3 = 33.333...), so after rounding they can be
+// a cent or two away from the total. Equal splits are shared out again; other
+// splits absorb the difference in proportion to their size.
+const reconcileSplits = (totalMinor, splitType, splitMinor) => {
+  const difference = totalMinor - sumMinor(splitMinor);
+  if (difference === 0 || splitMinor.length === 0) {
+    return splitMinor;
+  }
+  if (splitType === 'equal') {
+    return allocate(totalMinor, splitMinor.map(() => 1));
+  }
+  const weights = splitMinor.some(value => value > 0) ? splitMinor : splitMinor.map(() => 1);
+  const adjustments = allocate(Math.abs(difference), weights);
+  return splitMinor.map((value, index) => value + Math.sign(difference) * adjustments[index]);
+};
+
+const convertExpense = (expense) => {
+  const currency = expense.currency || 'USD';
+  const amountMinor = toMinor(expense.amount || 0, currency);
+  const splits = expense.splitAmong || [];
+
+  let splitMinor = splits.map(split => toMinor(split.amount || 0, currency));
+  if (expense.category !== 'Settlement') {
+    splitMinor = reconcileSplits(amountMinor, expense.splitType, splitMinor);
+  }
+
+  const splitAmong = splits.map((split, index) => {
+    const { amount, fixedAmount, ...rest } = split;
+    const converted = { ...rest, amountMinor: splitMinor[index] };
+    if (fixedAmount !== undefined && fixedAmount !== null) {
+      converted.fixedAmountMinor = toMinor(fixedAmount, currency);
+    }
+    return converted;
+  });
+
+  return { amountMinor, splitAmong };
+};
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  // Read the raw documents: the old `amount` fields are no longer in the schema
+  const cursor = Expense.collection.find({ amountMinor: { $exists: false } });
+  let converted = 0;
+  for await (const expense of cursor) {
+    const { amountMinor, splitAmong } = convertExpense(expense);
+    await Expense.collection.updateOne(
+      { _id: expense._id },
+      { $set: { amountMinor, splitAmong }, $unset: { amount: 1 } }
+    );
+    converted++;
+  }
+  console.log(`Converted ${converted} expenses to minor units`);
+
+  // Recount group totals from the converted expenses rather than converting
+  // the old float totals
+  const totals = await Expense.aggregate([
+    { $match: { category: { $ne: 'Settlement' } } },
+    { $group: { _id: '$group', totalExpensesMinor: { $sum: '$amountMinor' } } }
+  ]);
+  const totalsByGroup = new Map(totals.map(total => [total._id.toString(), total.totalExpensesMinor]));
+
+  const groups = await Group.collection.find({}, { projection: { _id: 1 } }).toArray();
+  for (const group of groups) {
+    await Group.collection.updateOne(
+      { _id: group._id },
+      {
+        $set: { totalExpensesMinor: totalsByGroup.get(group._id.toString()) || 0 },
+        $unset: { totalExpenses: 1 }
+      }
+    );
+  }
+  console.log(`Recalculated totals for ${groups.length} groups`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Migration failed:', error);
+  process.exit(1);
+});
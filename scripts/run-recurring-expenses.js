@@ -0,0 +1,24 @@
+// scripts/run-recurring-expenses.js - Create the recurring expenses that are due, once
+// Usage: node scripts/run-recurring-expenses.js
+// For running the scheduler from cron instead of the API server; start the
+// server with RECURRING_SCHEDULER=off when doing so.
+const mongoose = require('mongoose');
+const dotenv = require('dotenv');
+const { runDueRecurringExpenses } = require('../utils/recurringExpenses');
+
+dotenv.config();
+
+const run = async () => {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log('Connected to MongoDB');
+
+  const created = await runDueRecurringExpenses(new Date());
+  console.log(`Created ${created} recurring expenses`);
+
+  await mongoose.disconnect();
+};
+
+run().catch(error => {
+  console.error('Recurring expense run failed:', error);
+  process.exit(1);
+});
@@ -5,17 +5,25 @@ const bodyParser = require('body-parser');
 const cors = require('cors');
 const dotenv = require('dotenv');
 
+// Load environment variables before the routes read them at require time
+dotenv.config();
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/user');
 const dashboardRoutes = require('./routes/dashboard');
-
-// Load environment variables
-dotenv.config();
+const { getStorage } = require('./utils/storage');
+const { createRecurringScheduler } = require('./utils/recurringExpenses');
 
 // Initialize Express app
 const app = express();
 
+// Behind a reverse proxy, set TRUST_PROXY (e.g. "1") so req.ip is the client
+// address used for login throttling
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(process.env.TRUST_PROXY) ? Number(process.env.TRUST_PROXY) : process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
@@ -29,7 +37,16 @@ app.use((req, res, next) => {
 
 // MongoDB Connection
 mongoose.connect(process.env.MONGODB_URI)
-  .then(() => console.log('Connected to MongoDB'))
+  .then(() => {
+    console.log('Connected to MongoDB');
+    // Turns recurring expense templates into expenses as they fall due. Set
+    // RECURRING_SCHEDULER=off when another process runs it instead.
+    if (process.env.RECURRING_SCHEDULER !== 'off') {
+      createRecurringScheduler({
+        intervalMs: Number(process.env.RECURRING_SCHEDULER_INTERVAL_MS) || undefined
+      }).start();
+    }
+  })
   .catch(err => console.error('MongoDB connection error:', err));
 
 // Mount routes
@@ -37,6 +54,12 @@ app.use('/api/auth', authRoutes);
 app.use('/api/user', userRoutes);
 app.use('/api/dashboard', dashboardRoutes);
 
+// Uploaded photos, when stored on local disk
+const storage = getStorage();
+if (storage.staticDir) {
+  app.use(storage.baseUrl, express.static(storage.staticDir, { maxAge: '7d' }));
+}
+
 // Health check route
 app.get('/health', (req, res) => {
   console.log('Health check requested');
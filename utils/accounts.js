@@ -0,0 +1,217 @@
+// utils/accounts.js - Personal data export and account deletion
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const Session = require('../models/Session');
+const UserToken = require('../models/UserToken');
+const LoginAttempt = require('../models/LoginAttempt');
+const LoginThrottle = require('../models/LoginThrottle');
+const Activity = require('../models/Activity');
+const RecurringExpense = require('../models/RecurringExpense');
+const { isGroupAdmin } = require('./groupAccess');
+const { getMemberNetBalance } = require('./balances');
+const { groupCurrency } = require('./groupSettings');
+const { deleteGroupCascade } = require('./groupCleanup');
+const { removePhoto } = require('./images');
+const { fromMinor } = require('./money');
+
+// Profile fields safe to hand back to the user; secrets stay out
+const exportProfile = (user) => ({
+  _id: user._id,
+  name: user.name,
+  email: user.email,
+  emailVerified: user.emailVerified,
+  photoUrl: user.photoUrl,
+  platform: user.platform,
+  signInMethods: user.getSignInMethods(),
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+  defaultCurrency: user.defaultCurrency,
+  bankAccounts: user.bankAccounts,
+  friends: user.friends,
+  createdAt: user.createdAt,
+  lastLogin: user.lastLogin
+});
+
+// Collect everything stored about a user into one JSON-friendly object
+const exportUserData = async (user) => {
+  const userId = user._id;
+
+  const [groups, expenses, notifications, sessions, activity] = await Promise.all([
+    Group.find({ $or: [{ admin: userId }, { 'members.user': userId }] }).lean(),
+    Expense.find({ $or: [{ paidBy: userId }, { 'payers.user': userId }, { 'splitAmong.user': userId }] }).sort({ date: -1 }).lean(),
+    Notification.find({ $or: [{ recipient: userId }, { sender: userId }] }).sort({ createdAt: -1 }).lean(),
+    Session.find({ user: userId }).select('platform userAgent ip createdAt lastSeenAt revokedAt').lean(),
+    Activity.find({ $or: [{ actor: userId }, { subjectUser: userId }] }).sort({ createdAt: -1 }).lean()
+  ]);
+
+  // The user's own share of every expense, flattened for convenience
+  const splits = [];
+  for (const expense of expenses) {
+    for (const split of expense.splitAmong) {
+      if (split.user?.toString() === userId.toString()) {
+        splits.push({
+          expense: expense._id,
+          group: expense.group,
+          description: expense.description,
+          date: expense.date,
+          amount: fromMinor(split.amountMinor, expense.currency),
+          settled: split.settled
+        });
+      }
+    }
+  }
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: exportProfile(user),
+    groups: groups.map(group => ({
+      _id: group._id,
+      name: group.name,
+      description: group.description,
+      isAdmin: isGroupAdmin(group, userId),
+      membership: group.members.find(m => m.user?.toString() === userId.toString()) || null,
+      createdAt: group.createdAt
+    })),
+    expenses,
+    splits,
+    notifications,
+    sessions,
+    activity
+  };
+};
+
+// Create the anonymized user that takes over a deleted user's references
+const createDeletedPlaceholder = async () => {
+  const placeholderId = new mongoose.Types.ObjectId();
+  return User.create({
+    _id: placeholderId,
+    name: 'Deleted user',
+    email: `deleted-${placeholderId}@deleted.invalid`,
+    isDeletedPlaceholder: true
+  });
+};
+
+// Hand over or remove the groups a user owns. Co-admins take over first,
+// then any other active member.
+const releaseAdminGroups = async (userId) => {
+  const groups = await Group.find({ admin: userId });
+
+  for (const group of groups) {
+    const candidates = group.members.filter(m => m.status === 'active' && m.user.toString() !== userId.toString());
+    const successor = candidates.find(m => m.role === 'admin') || candidates[0];
+
+    if (successor) {
+      console.log(`Transferring admin of group ${group._id} to ${successor.user}`);
+      group.admin = successor.user;
+      group.members = group.members.filter(m => m.user.toString() !== successor.user.toString());
+      group.updatedAt = new Date();
+      await group.save();
+    } else {
+      // Nobody else ever joined, so no one else's balances depend on it
+      console.log(`Deleting group ${group._id} with no other active members`);
+      await deleteGroupCascade(group._id);
+    }
+  }
+};
+
+// Groups where the user still owes or is owed money, as
+// [{ groupId, name, netBalance }]. The placeholder that takes over a deleted
+// user is not a member, so those debts would drop out of everyone's
+// balances; the account can only go once they are settled.
+const findOpenBalances = async (userId) => {
+  const groupIds = await Expense.distinct('group', {
+    $or: [{ paidBy: userId }, { 'payers.user': userId }, { 'splitAmong.user': userId }]
+  });
+  const groups = await Group.find({ _id: { $in: groupIds } }).select('name settings.defaultCurrency');
+
+  const open = [];
+  for (const group of groups) {
+    const netBalance = await getMemberNetBalance(group._id, userId);
+    if (netBalance !== 0) {
+      open.push({ groupId: group._id, name: group.name, netBalance: fromMinor(netBalance, groupCurrency(group)) });
+    }
+  }
+  return open;
+};
+
+// Permanently delete a user with no open balances (see findOpenBalances).
+// Expenses they paid for or shared keep their amounts but point at a
+// "Deleted user" placeholder.
+const deleteUserAccount = async (user) => {
+  const userId = user._id;
+  console.log(`Deleting account ${userId}`);
+
+  await releaseAdminGroups(userId);
+
+  const placeholder = await createDeletedPlaceholder();
+  console.log(`Created placeholder ${placeholder._id} for deleted user ${userId}`);
+
+  await Expense.updateMany({ paidBy: userId }, { paidBy: placeholder._id });
+  await Expense.updateMany(
+    { 'payers.user': userId },
+    { $set: { 'payers.$[payer].user': placeholder._id } },
+    { arrayFilters: [{ 'payer.user': userId }] }
+  );
+  await Expense.updateMany(
+    { 'items.members': userId },
+    { $set: { 'items.$[].members.$[entry]': placeholder._id } },
+    { arrayFilters: [{ entry: userId }] }
+  );
+  await Expense.updateMany(
+    { 'splitAmong.settledWith': userId },
+    { $set: { 'splitAmong.$[].settledWith.$[entry]': placeholder._id } },
+    { arrayFilters: [{ entry: userId }] }
+  );
+  await Expense.updateMany(
+    { 'splitAmong.user': userId },
+    { $set: { 'splitAmong.$[split].user': placeholder._id } },
+    { arrayFilters: [{ 'split.user': userId }] }
+  );
+
+  // Recurring expenses they pay for are paused by the scheduler at their
+  // next occurrence, since the placeholder is not a member of the group
+  await RecurringExpense.updateMany({ createdBy: userId }, { createdBy: placeholder._id });
+  await RecurringExpense.updateMany({ paidBy: userId }, { paidBy: placeholder._id });
+  await RecurringExpense.updateMany(
+    { 'payers.user': userId },
+    { $set: { 'payers.$[payer].user': placeholder._id } },
+    { arrayFilters: [{ 'payer.user': userId }] }
+  );
+  await RecurringExpense.updateMany(
+    { 'participants.user': userId },
+    { $set: { 'participants.$[participant].user': placeholder._id } },
+    { arrayFilters: [{ 'participant.user': userId }] }
+  );
+
+  await Group.updateMany({ 'members.user': userId }, { $pull: { members: { user: userId } } });
+  await User.updateMany({ 'friends.user': userId }, { $pull: { friends: { user: userId } } });
+
+  await Notification.deleteMany({ recipient: userId });
+  await Notification.updateMany({ sender: userId }, { sender: placeholder._id });
+
+  // The activity log keeps its entries but no longer names the user
+  const rewrite = { allowActivityRewrite: true };
+  await Activity.updateMany({ actor: userId }, { actor: placeholder._id }, rewrite);
+  await Activity.updateMany({ subjectUser: userId }, { subjectUser: placeholder._id }, rewrite);
+
+  await Promise.all([
+    Session.deleteMany({ user: userId }),
+    UserToken.deleteMany({ user: userId }),
+    LoginAttempt.deleteMany({ user: userId }),
+    LoginThrottle.deleteOne({ key: `account:${user.email}` })
+  ]);
+
+  await User.deleteOne({ _id: userId });
+  await removePhoto(user.photoStorageKey);
+  console.log(`Account ${userId} deleted`);
+
+  return placeholder;
+};
+
+module.exports = {
+  exportUserData,
+  findOpenBalances,
+  deleteUserAccount
+};
@@ -0,0 +1,80 @@
+// utils/activity.js - Write and read the group activity log
+const Activity = require('../models/Activity');
+const { payersOf } = require('./splits');
+const { fromMinor } = require('./money');
+
+// Record one change. Like the login audit trail, a failure to write the log
+// is logged and never fails the change itself.
+const recordActivity = async ({ group, actor, action, subjectUser, expense, before, after, details }) => {
+  try {
+    await Activity.create({
+      group: group?._id || group,
+      actor: actor?._id || actor,
+      action,
+      subjectUser: subjectUser?._id || subjectUser,
+      expense: expense?._id || expense,
+      before,
+      after,
+      details
+    });
+    console.log(`Activity recorded: ${action} in group ${group?._id || group}`);
+  } catch (error) {
+    console.error(`Failed to record activity ${action}:`, error.message);
+  }
+};
+
+// The parts of an expense worth keeping in before/after snapshots
+const snapshotExpense = (expense) => {
+  if (!expense) {
+    return undefined;
+  }
+  return {
+    description: expense.description,
+    amount: expense.amount,
+    currency: expense.currency,
+    paidBy: (expense.paidBy?._id || expense.paidBy)?.toString(),
+    payers: payersOf(expense).map(payer => ({
+      user: payer.user,
+      amount: fromMinor(payer.amountMinor, expense.currency)
+    })),
+    splitType: expense.splitType,
+    category: expense.category,
+    date: expense.date,
+    notes: expense.notes,
+    splitAmong: (expense.splitAmong || []).map(split => ({
+      user: (split.user?._id || split.user)?.toString(),
+      amount: split.amount,
+      settled: split.settled
+    }))
+  };
+};
+
+// One page of a group's activity, newest first
+const listActivity = async (groupId, { page = 1, limit = 20 } = {}) => {
+  const [entries, total] = await Promise.all([
+    Activity.find({ group: groupId })
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('actor', 'name email photoUrl')
+      .populate('subjectUser', 'name email photoUrl')
+      .lean(),
+    Activity.countDocuments({ group: groupId })
+  ]);
+
+  return {
+    entries,
+    pagination: {
+      page,
+      limit,
+      total,
+      pages: Math.ceil(total / limit)
+    }
+  };
+};
+
+module.exports = {
+  recordActivity,
+  snapshotExpense,
+  listActivity
+};
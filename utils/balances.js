@@ -0,0 +1,178 @@
+// utils/balances.js - Balance calculations shared by the dashboard routes
+const Expense = require('../models/Expense');
+const { idOf } = require('./groupAccess');
+const { allocate } = require('./money');
+const { payersOf } = require('./splits');
+
+// What each open share of an expense still owes each payer, as
+// [{ from, to, amountMinor }]. With several payers a share is divided in
+// proportion to what each paid; the part a payer would owe themselves is
+// left out. Settlement records owe nothing.
+const debtsOf = (expense) => {
+  if (expense.category === 'Settlement') {
+    return [];
+  }
+
+  const payers = payersOf(expense);
+  const weights = payers.map(payer => payer.amountMinor);
+  if (!weights.some(weight => weight > 0)) {
+    return [];
+  }
+
+  const debts = [];
+  for (const split of expense.splitAmong) {
+    if (split.settled) {
+      continue;
+    }
+    const memberId = idOf(split.user);
+    const settledWith = (split.settledWith || []).map(idOf);
+    const parts = allocate(split.amountMinor, weights);
+    payers.forEach((payer, index) => {
+      if (payer.user !== memberId && parts[index] > 0 && !settledWith.includes(payer.user)) {
+        debts.push({ from: memberId, to: payer.user, amountMinor: parts[index] });
+      }
+    });
+  }
+  return debts;
+};
+
+// Same rules as GET /groups/:groupId/balances: settlement records are
+// skipped and only unsettled shares count. Nets are integer minor units; a
+// positive net means the user is owed money, a negative net means they owe.
+// Every debt is credited and debited once, so the nets sum to exactly zero.
+const computeNetBalances = (expenses) => {
+  const net = {};
+  const add = (userId, amountMinor) => {
+    net[userId] = (net[userId] || 0) + amountMinor;
+  };
+
+  for (const expense of expenses) {
+    for (const debt of debtsOf(expense)) {
+      add(debt.to, debt.amountMinor);
+      add(debt.from, -debt.amountMinor);
+    }
+  }
+
+  return net;
+};
+
+// Net balance of one user within a group, in minor units
+const getMemberNetBalance = async (groupId, userId) => {
+  const expenses = await Expense.find({
+    group: groupId,
+    $or: [{ paidBy: userId }, { 'payers.user': userId }, { 'splitAmong.user': userId }]
+  });
+  return computeNetBalances(expenses)[userId.toString()] || 0;
+};
+
+// Members of a group whose net balance is not zero, as { userId: net }
+const getOutstandingBalances = async (groupId) => {
+  const expenses = await Expense.find({ group: groupId });
+  const outstanding = {};
+  for (const [userId, net] of Object.entries(computeNetBalances(expenses))) {
+    if (net !== 0) {
+      outstanding[userId] = net;
+    }
+  }
+  return outstanding;
+};
+
+// Reduce net balances ({ userId: net } in minor units) to the fewest
+// payments that settle everyone, largest debts first. Returns
+// [{ from, to, amountMinor }].
+const simplifyDebts = (net) => {
+  const creditors = [];
+  const debtors = [];
+  for (const [userId, amountMinor] of Object.entries(net)) {
+    if (amountMinor > 0) {
+      creditors.push({ userId, amountMinor });
+    } else if (amountMinor < 0) {
+      debtors.push({ userId, amountMinor: -amountMinor });
+    }
+  }
+  creditors.sort((a, b) => b.amountMinor - a.amountMinor);
+  debtors.sort((a, b) => b.amountMinor - a.amountMinor);
+
+  const payments = [];
+  let i = 0;
+  let j = 0;
+  while (i < debtors.length && j < creditors.length) {
+    const amountMinor = Math.min(debtors[i].amountMinor, creditors[j].amountMinor);
+    payments.push({ from: debtors[i].userId, to: creditors[j].userId, amountMinor });
+    debtors[i].amountMinor -= amountMinor;
+    creditors[j].amountMinor -= amountMinor;
+    if (debtors[i].amountMinor === 0) {
+      i++;
+    }
+    if (creditors[j].amountMinor === 0) {
+      j++;
+    }
+  }
+  return payments;
+};
+
+// Record that `debtorId` has paid `creditorId` their part of the debtor's
+// share of an expense. A share with a single payer is simply settled; with
+// several payers it is settled once every other payer has been paid.
+// Returns whether anything changed; the caller saves the expense.
+const settleShare = (expense, debtorId, creditorId) => {
+  const split = expense.splitAmong.find(entry => idOf(entry.user) === debtorId.toString() && !entry.settled);
+  const payerIds = payersOf(expense).map(payer => payer.user);
+  if (!split || !payerIds.includes(creditorId.toString()) || debtorId.toString() === creditorId.toString()) {
+    return false;
+  }
+
+  if (payerIds.length === 1) {
+    split.settled = true;
+    return true;
+  }
+
+  const settledWith = (split.settledWith || []).map(idOf);
+  if (settledWith.includes(creditorId.toString())) {
+    return false;
+  }
+  split.settledWith.push(creditorId);
+  split.settled = payerIds.every(payerId => payerId === debtorId.toString() || payerId === creditorId.toString() || settledWith.includes(payerId));
+  return true;
+};
+
+// Mark every open split between a user and the rest of the group as settled,
+// for when the user confirms they have squared up outside the app. Returns
+// the number of expenses changed.
+const settleAllForMember = async (groupId, userId) => {
+  const expenses = await Expense.find({
+    group: groupId,
+    $or: [{ paidBy: userId }, { 'payers.user': userId }, { 'splitAmong.user': userId }]
+  });
+
+  let settledCount = 0;
+  for (const expense of expenses) {
+    let changed = false;
+    for (const split of expense.splitAmong) {
+      if (split.settled) {
+        continue;
+      }
+      if (idOf(split.user) === userId.toString()) {
+        split.settled = true;
+        changed = true;
+      } else if (settleShare(expense, split.user, userId)) {
+        changed = true;
+      }
+    }
+    if (changed) {
+      await expense.save();
+      settledCount++;
+    }
+  }
+  return settledCount;
+};
+
+module.exports = {
+  debtsOf,
+  computeNetBalances,
+  getMemberNetBalance,
+  getOutstandingBalances,
+  simplifyDebts,
+  settleShare,
+  settleAllForMember
+};
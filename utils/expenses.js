@@ -0,0 +1,258 @@
+// utils/expenses.js - Adding expenses to a group and shaping them for responses
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const { isActiveMember } = require('./groupAccess');
+const { currencyError, resolveExpenseDefaults } = require('./groupSettings');
+const { recordActivity, snapshotExpense } = require('./activity');
+const { fromMinor } = require('./money');
+const {
+  RECEIPT_EXTRAS,
+  SplitError,
+  buildSplits,
+  buildItemization,
+  expenseAmountMinor,
+  buildPayers,
+  payersOf,
+  primaryPayerOf
+} = require('./splits');
+
+// Notify everyone on an expense, before or after a change, except the actor
+const notifyExpenseMembers = async (snapshots, { sender, type, message, groupId, expenseId }) => {
+  const recipients = new Set();
+  for (const snapshot of snapshots) {
+    snapshot.payers.forEach(payer => recipients.add(payer.user));
+    snapshot.splitAmong.forEach(split => recipients.add(split.user));
+  }
+  recipients.delete(sender.toString());
+
+  await Notification.insertMany([...recipients].map(recipient => ({
+    recipient,
+    sender,
+    type,
+    message,
+    relatedGroup: groupId,
+    relatedExpense: expenseId
+  })));
+};
+
+// Check an add-expense request from `actor` and create the expense. `input`
+// is the request body; anything it leaves out comes from the group's
+// settings. Throws SplitError when the request can't be turned into an
+// expense.
+const createExpense = async (group, input, actor) => {
+  const userId = actor._id;
+  const {
+    description,
+    amount,
+    splitAmong,
+    splitAmounts,
+    splitPercentages,
+    splitShares,
+    splitType,
+    items,
+    tax,
+    serviceCharge,
+    tip,
+    category,
+    notes,
+    date,
+    paidBy,
+    payers,
+    currency
+  } = input;
+
+  // Itemized receipts work out the amount from their items
+  if (!description || (splitType !== 'itemized' && (!amount || amount <= 0))) {
+    throw new SplitError('Description and amount (greater than 0) are required');
+  }
+
+  const currencyProblem = currencyError(group, currency);
+  if (currencyProblem) {
+    throw new SplitError(currencyProblem);
+  }
+
+  const defaults = resolveExpenseDefaults(group, { splitType, splitAmong, currency });
+  console.log('Resolved expense defaults:', defaults);
+
+  let itemization = null;
+  if (defaults.splitType === 'itemized') {
+    itemization = buildItemization({
+      items,
+      tax,
+      serviceCharge,
+      tip,
+      currency: defaults.currency,
+      memberIds: defaults.memberIds
+    });
+  }
+  // Amounts are kept in whole minor units of the expense's currency
+  const amountMinor = expenseAmountMinor({ amount, currency: defaults.currency, itemization });
+
+  // Without a payers list one person paid the whole amount
+  const payerList = payers !== undefined
+    ? buildPayers({ payers, amountMinor, currency: defaults.currency })
+    : [{ user: (paidBy || userId).toString(), amountMinor }];
+  if (payerList.some(payer => !isActiveMember(group, payer.user))) {
+    throw new SplitError('Every payer must be an active member of the group');
+  }
+  const splitDetails = buildSplits({
+    amountMinor,
+    currency: defaults.currency,
+    splitType: defaults.splitType,
+    participantIds: itemization ? itemization.participantIds : defaults.participantIds,
+    splitAmounts,
+    splitPercentages,
+    splitShares,
+    itemization,
+    payerIds: payerList.map(payer => payer.user)
+  });
+
+  const expense = await Expense.create({
+    group: group._id,
+    description,
+    amountMinor,
+    currency: defaults.currency,
+    paidBy: primaryPayerOf(payerList),
+    payers: payerList.length > 1 ? payerList : [],
+    splitAmong: splitDetails,
+    items: itemization ? itemization.items : [],
+    extras: itemization ? itemization.extras : undefined,
+    category: category || 'Other',
+    notes,
+    date: date || new Date(),
+    splitType: defaults.splitType
+  });
+  console.log(`Expense created with ID: ${expense._id}`);
+
+  const after = snapshotExpense(expense);
+  await Promise.all([
+    recordActivity({
+      group: group._id,
+      actor: userId,
+      action: 'expense_added',
+      expense,
+      after
+    }),
+    Group.findByIdAndUpdate(group._id, {
+      $inc: { totalExpensesMinor: amountMinor },
+      updatedAt: new Date()
+    }),
+    notifyExpenseMembers([after], {
+      sender: userId,
+      type: 'expense_added',
+      message: `${actor.name} added "${expense.description}" to group "${group.name}"`,
+      groupId: group._id,
+      expenseId: expense._id
+    })
+  ]);
+
+  return expense;
+};
+
+// Reply body for a newly added expense
+const createdExpensePayload = (expense) => ({
+  _id: expense._id,
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  paidBy: expense.paidBy,
+  payers: expense.payers,
+  date: expense.date,
+  splitType: expense.splitType,
+  splitCount: expense.splitAmong.length,
+  // Equal shares can differ by a cent; this is the first (largest) one
+  splitAmount: expense.splitType === 'equal' ? expense.splitAmong[0].amount : null
+});
+
+const userSummary = (user) => ({
+  _id: user._id,
+  name: user.name,
+  photoUrl: user.photoUrl
+});
+
+// An expense with paidBy, payers, splitAmong and item members populated,
+// as listed to `userId`
+const formatExpense = (expense, userId) => ({
+  _id: expense._id,
+  description: expense.description,
+  amount: expense.amount,
+  currency: expense.currency,
+  splitType: expense.splitType,
+  paidBy: userSummary(expense.paidBy),
+  // Single-payer expenses list paidBy as the only payer
+  payers: expense.payers.length > 0
+    ? expense.payers.map(payer => ({ user: userSummary(payer.user), amount: payer.amount }))
+    : [{ user: userSummary(expense.paidBy), amount: expense.amount }],
+  splitAmong: expense.splitAmong.map(split => ({
+    user: userSummary(split.user),
+    amount: split.amount,
+    settled: split.settled,
+    settledWith: split.settledWith,
+    percentage: split.percentage,
+    shares: split.shares,
+    fixedAmount: split.fixedAmount
+  })),
+  // Itemized receipts: who had what, and the extras spread over it
+  items: expense.items.map(item => ({
+    description: item.description,
+    amount: item.amount,
+    members: item.members.map(userSummary)
+  })),
+  extras: expense.splitType === 'itemized'
+    ? Object.fromEntries(RECEIPT_EXTRAS.map(field => [field, fromMinor(expense.extras?.[`${field}Minor`], expense.currency)]))
+    : null,
+  date: expense.date,
+  category: expense.category,
+  notes: expense.notes,
+  recurringExpense: expense.recurringExpense || null,
+  isPaidByCurrentUser: payersOf(expense).some(payer => payer.user === userId.toString()),
+  currentUserPaid: expense.splitAmong.find(split =>
+    split.user._id.toString() === userId.toString()
+  )?.settled || false
+});
+
+// What a user paid across all their groups, with the group populated. On a
+// jointly paid expense only the user's own part counts. Groups can use
+// different currencies, so there is a total per currency; totalAmount is
+// the one in the user's own currency.
+const summarizePaidExpenses = (expenses, user) => {
+  const userId = user._id.toString();
+  const defaultCurrency = user.defaultCurrency || 'USD';
+
+  const totalsMinor = {};
+  const formatted = expenses.map((expense) => {
+    const paidMinor = payersOf(expense).find(payer => payer.user === userId).amountMinor;
+    totalsMinor[expense.currency] = (totalsMinor[expense.currency] || 0) + paidMinor;
+    return {
+      _id: expense._id,
+      description: expense.description,
+      amount: fromMinor(paidMinor, expense.currency),
+      currency: expense.currency,
+      group: {
+        _id: expense.group._id,
+        name: expense.group.name,
+        photoUrl: expense.group.photoUrl
+      },
+      date: expense.date,
+      category: expense.category,
+      notes: expense.notes
+    };
+  });
+
+  return {
+    totalAmount: fromMinor(totalsMinor[defaultCurrency] || 0, defaultCurrency),
+    totals: Object.fromEntries(
+      Object.entries(totalsMinor).map(([currency, minor]) => [currency, fromMinor(minor, currency)])
+    ),
+    expenses: formatted
+  };
+};
+
+module.exports = {
+  createExpense,
+  createdExpensePayload,
+  formatExpense,
+  notifyExpenseMembers,
+  summarizePaidExpenses
+};
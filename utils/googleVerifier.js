@@ -0,0 +1,93 @@
+// utils/googleVerifier.js - Google ID token verification with cached signing keys
+const fs = require('fs');
+const { OAuth2Client } = require('google-auth-library');
+
+const GOOGLE_ISSUERS = ['accounts.google.com', 'https://accounts.google.com'];
+
+// The app's client IDs; a token must be issued for one of them
+const googleClientIds = [
+  process.env.GOOGLE_CLIENT_ID,           // Web client ID
+  process.env.GOOGLE_ANDROID_CLIENT_ID,   // Android client ID
+  process.env.GOOGLE_EXPO_CLIENT_ID       // Expo client ID
+].filter(Boolean); // Filter out any undefined values
+
+// One client for the whole process so Google's certificates are fetched once
+// and reused until the expiry advertised in their Cache-Control header.
+// Replaced with a fresh client to drop that cache when Google rotates keys.
+let client = new OAuth2Client();
+
+// Set GOOGLE_CERTS_FILE to a JSON file of { kid: PEM } to verify against local
+// keys instead of Google's, e.g. to test offline with a locally signed token
+let fileCerts = null;
+
+const loadCerts = async ({ forceRefresh = false } = {}) => {
+  if (process.env.GOOGLE_CERTS_FILE) {
+    if (!fileCerts || forceRefresh) {
+      console.log('Loading Google signing keys from', process.env.GOOGLE_CERTS_FILE);
+      fileCerts = JSON.parse(fs.readFileSync(process.env.GOOGLE_CERTS_FILE, 'utf8'));
+    }
+    return fileCerts;
+  }
+
+  if (forceRefresh) {
+    client = new OAuth2Client();
+  }
+  const { certs } = await client.getFederatedSignonCertsAsync();
+  return certs;
+};
+
+// Translate google-auth-library's error messages into stable codes
+const toVerificationError = (error) => {
+  const message = error.message || '';
+  let code = 'invalid_token';
+  let description = 'Google ID token is invalid';
+
+  if (message.startsWith('Wrong recipient')) {
+    code = 'audience_mismatch';
+    description = 'Google ID token was issued for a different client';
+  } else if (message.startsWith('Token used too late')) {
+    code = 'token_expired';
+    description = 'Google ID token has expired';
+  } else if (message.startsWith('Token used too early')) {
+    code = 'token_not_yet_valid';
+    description = 'Google ID token is not valid yet';
+  } else if (message.startsWith('Invalid issuer')) {
+    code = 'invalid_issuer';
+    description = 'Google ID token was not issued by Google';
+  }
+
+  const verificationError = new Error(description);
+  verificationError.name = 'GoogleTokenError';
+  verificationError.code = code;
+  verificationError.reason = message;
+  return verificationError;
+};
+
+// Verify an ID token against the given client IDs and return its payload.
+// Throws a GoogleTokenError carrying a `code` on any failure.
+const verifyGoogleIdToken = async (idToken, audiences) => {
+  const verify = async (certs) => {
+    const ticket = await client.verifySignedJwtWithCertsAsync(idToken, certs, audiences, GOOGLE_ISSUERS);
+    return ticket.getPayload();
+  };
+
+  try {
+    return await verify(await loadCerts());
+  } catch (error) {
+    // Google rotates its keys; an unknown key ID means our cache is stale
+    if ((error.message || '').startsWith('No pem found')) {
+      console.log('Unknown Google signing key, refreshing certificate cache');
+      try {
+        return await verify(await loadCerts({ forceRefresh: true }));
+      } catch (retryError) {
+        throw toVerificationError(retryError);
+      }
+    }
+    throw toVerificationError(error);
+  }
+};
+
+module.exports = {
+  googleClientIds,
+  verifyGoogleIdToken
+};
@@ -0,0 +1,64 @@
+// utils/groupAccess.js - Role checks for groups
+//
+// `group.admin` is the group's owner. Other active members with
+// `role: 'admin'` share the owner's admin permissions, but only the owner
+// can manage other admins or hand over ownership.
+
+// Works with both populated and unpopulated references
+const idOf = (ref) => (ref?._id || ref).toString();
+
+const isGroupOwner = (group, userId) => idOf(group.admin) === userId.toString();
+
+const findMembership = (group, userId) =>
+  group.members.find(member => idOf(member.user) === userId.toString());
+
+const isActiveMember = (group, userId) => {
+  if (isGroupOwner(group, userId)) {
+    return true;
+  }
+  return findMembership(group, userId)?.status === 'active';
+};
+
+const isGroupAdmin = (group, userId) => {
+  if (isGroupOwner(group, userId)) {
+    return true;
+  }
+  const membership = findMembership(group, userId);
+  return membership?.status === 'active' && membership.role === 'admin';
+};
+
+// Owner first, then co-admins
+const getAdminIds = (group) => [
+  idOf(group.admin),
+  ...group.members
+    .filter(member => member.status === 'active' && member.role === 'admin')
+    .map(member => idOf(member.user))
+];
+
+const EXPENSE_PERMISSIONS = {
+  add: 'membersCanAddExpenses',
+  edit: 'membersCanEditExpenses',
+  delete: 'membersCanDeleteExpenses'
+};
+
+// Whether a user may add, edit or delete expenses in a group. Admins always
+// can; other active members depend on the group's permission settings.
+const canManageExpenses = (group, userId, action) => {
+  if (isGroupAdmin(group, userId)) {
+    return true;
+  }
+  if (!isActiveMember(group, userId)) {
+    return false;
+  }
+  return group.settings?.permissions?.[EXPENSE_PERMISSIONS[action]] !== false;
+};
+
+module.exports = {
+  idOf,
+  isGroupOwner,
+  isGroupAdmin,
+  isActiveMember,
+  findMembership,
+  getAdminIds,
+  canManageExpenses
+};
@@ -0,0 +1,29 @@
+// utils/groupCleanup.js - Permanently remove a group and everything hanging off it
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const Notification = require('../models/Notification');
+const PendingInvitation = require('../models/PendingInvitation');
+const Activity = require('../models/Activity');
+const RecurringExpense = require('../models/RecurringExpense');
+const { removePhoto } = require('./images');
+
+const deleteGroupCascade = async (groupId) => {
+  const group = await Group.findById(groupId).select('photoStorageKey');
+  const [expenses, notifications] = await Promise.all([
+    Expense.deleteMany({ group: groupId }),
+    Notification.deleteMany({ relatedGroup: groupId }),
+    PendingInvitation.deleteMany({ group: groupId }),
+    Activity.deleteMany({ group: groupId }),
+    RecurringExpense.deleteMany({ group: groupId }),
+    User.updateMany({ groups: groupId }, { $pull: { groups: groupId } })
+  ]);
+  await Group.deleteOne({ _id: groupId });
+  await removePhoto(group?.photoStorageKey);
+
+  console.log(`Deleted group ${groupId} with ${expenses.deletedCount} expenses and ${notifications.deletedCount} notifications`);
+};
+
+module.exports = {
+  deleteGroupCascade
+};
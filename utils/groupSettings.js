@@ -0,0 +1,177 @@
+// utils/groupSettings.js - Validation and defaults for per-group settings
+const mongoose = require('mongoose');
+const { idOf } = require('./groupAccess');
+const { SPLIT_TYPES, SplitError } = require('./splits');
+
+// Itemized splits need items on every expense, so they can't be the default
+const DEFAULT_SPLIT_TYPES = SPLIT_TYPES.filter(type => type !== 'itemized');
+const PERMISSION_KEYS = ['membersCanAddExpenses', 'membersCanEditExpenses', 'membersCanDeleteExpenses'];
+const BOOLEAN_SETTINGS = ['requireVerifiedEmail', 'simplifyDebts'];
+
+// Three-letter ISO 4217 style code
+const isCurrencyCode = (value) => typeof value === 'string' && /^[A-Za-z]{3}$/.test(value.trim());
+
+// A group keeps all its money in one currency, so totals and balances can
+// be added up
+const groupCurrency = (group) => group.settings?.defaultCurrency || 'USD';
+
+// Why an expense or recurring expense in `currency` can't go in the group,
+// or null. A missing currency means the group's.
+const currencyError = (group, currency) => {
+  if (currency === undefined || currency === null || currency === '') {
+    return null;
+  }
+  if (!isCurrencyCode(currency)) {
+    return 'Currency must be a three-letter currency code';
+  }
+  if (currency.trim().toUpperCase() !== groupCurrency(group)) {
+    return `Expenses in this group must be in ${groupCurrency(group)}`;
+  }
+  return null;
+};
+
+// Everyone who can take part in an expense: the owner and active members
+const activeMemberIds = (group) => [
+  idOf(group.admin),
+  ...group.members
+    .filter(member => member.status === 'active')
+    .map(member => idOf(member.user))
+];
+
+// Whether an expense request picked its own members; an empty list means
+// the group's defaults
+const picksParticipants = (splitAmong) => splitAmong !== undefined && splitAmong !== null && splitAmong.length !== 0;
+
+// The members an expense request picked, in group order. Throws SplitError
+// unless it is a list of active members.
+const pickedParticipantIds = (group, splitAmong) => {
+  if (!Array.isArray(splitAmong)) {
+    throw new SplitError('splitAmong must be a list of member IDs');
+  }
+  const memberIds = activeMemberIds(group);
+  const picked = splitAmong.map(id => String(id));
+  if (picked.some(id => !memberIds.includes(id))) {
+    throw new SplitError('splitAmong may only contain active members of the group');
+  }
+  return memberIds.filter(id => picked.includes(id));
+};
+
+// Turn a PATCH body into `$set` paths. Unknown keys are ignored; invalid
+// values are reported instead of applied. Stored amounts are in the group's
+// currency, so it can't change once the group has expenses (hasExpenses).
+const buildSettingsUpdate = (group, body, { hasExpenses = false } = {}) => {
+  const updates = {};
+  const errors = [];
+
+  for (const key of BOOLEAN_SETTINGS) {
+    if (body[key] === undefined) {
+      continue;
+    }
+    if (typeof body[key] !== 'boolean') {
+      errors.push(`${key} must be true or false`);
+    } else {
+      updates[`settings.${key}`] = body[key];
+    }
+  }
+
+  if (body.defaultCurrency !== undefined) {
+    if (!isCurrencyCode(body.defaultCurrency)) {
+      errors.push('defaultCurrency must be a three-letter currency code');
+    } else if (hasExpenses && body.defaultCurrency.trim().toUpperCase() !== groupCurrency(group)) {
+      errors.push('defaultCurrency cannot change once the group has expenses or recurring expenses');
+    } else {
+      updates['settings.defaultCurrency'] = body.defaultCurrency.trim().toUpperCase();
+    }
+  }
+
+  if (body.defaultSplitType !== undefined) {
+    if (!DEFAULT_SPLIT_TYPES.includes(body.defaultSplitType)) {
+      errors.push(`defaultSplitType must be one of: ${DEFAULT_SPLIT_TYPES.join(', ')}`);
+    } else {
+      updates['settings.defaultSplitType'] = body.defaultSplitType;
+    }
+  }
+
+  if (body.defaultParticipants !== undefined) {
+    const memberIds = activeMemberIds(group);
+    if (!Array.isArray(body.defaultParticipants)) {
+      errors.push('defaultParticipants must be a list of member IDs');
+    } else if (body.defaultParticipants.some(id => !mongoose.Types.ObjectId.isValid(id) || !memberIds.includes(id.toString()))) {
+      errors.push('defaultParticipants may only contain active members of the group');
+    } else {
+      updates['settings.defaultParticipants'] = [...new Set(body.defaultParticipants.map(id => id.toString()))];
+    }
+  }
+
+  if (body.permissions !== undefined) {
+    if (typeof body.permissions !== 'object' || body.permissions === null) {
+      errors.push('permissions must be an object');
+    } else {
+      for (const key of PERMISSION_KEYS) {
+        if (body.permissions[key] === undefined) {
+          continue;
+        }
+        if (typeof body.permissions[key] !== 'boolean') {
+          errors.push(`permissions.${key} must be true or false`);
+        } else {
+          updates[`settings.permissions.${key}`] = body.permissions[key];
+        }
+      }
+    }
+  }
+
+  return { updates, errors };
+};
+
+// Fill in what an expense request left out from the group's settings.
+// Picked participants must be active members (SplitError otherwise); when
+// none of the default participants are left, the expense falls back to
+// everyone. memberIds lists every active member.
+const resolveExpenseDefaults = (group, { splitType, splitAmong, currency }) => {
+  const settings = group.settings || {};
+  const memberIds = activeMemberIds(group);
+
+  let participantIds;
+  if (picksParticipants(splitAmong)) {
+    participantIds = pickedParticipantIds(group, splitAmong);
+  } else {
+    const defaults = (settings.defaultParticipants || []).map(id => id.toString());
+    participantIds = memberIds.filter(id => defaults.includes(id));
+    if (participantIds.length === 0) {
+      participantIds = memberIds;
+    }
+  }
+
+  return {
+    splitType: splitType || settings.defaultSplitType || 'equal',
+    memberIds,
+    participantIds,
+    currency: (currency || groupCurrency(group)).trim().toUpperCase()
+  };
+};
+
+// Settings as returned to clients
+const settingsPayload = (group) => {
+  const settings = group.settings || {};
+  return {
+    requireVerifiedEmail: Boolean(settings.requireVerifiedEmail),
+    defaultCurrency: groupCurrency(group),
+    defaultSplitType: settings.defaultSplitType || 'equal',
+    defaultParticipants: (settings.defaultParticipants || []).map(id => id.toString()),
+    simplifyDebts: Boolean(settings.simplifyDebts),
+    permissions: Object.fromEntries(
+      PERMISSION_KEYS.map(key => [key, settings.permissions?.[key] !== false])
+    )
+  };
+};
+
+module.exports = {
+  isCurrencyCode,
+  groupCurrency,
+  currencyError,
+  buildSettingsUpdate,
+  picksParticipants,
+  pickedParticipantIds,
+  resolveExpenseDefaults,
+  settingsPayload
+};
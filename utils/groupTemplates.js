@@ -0,0 +1,71 @@
+// utils/groupTemplates.js - Defaults seeded into a new group from its type
+
+const GROUP_TYPES = ['trip', 'home', 'couple', 'event', 'other'];
+
+const TEMPLATES = {
+  trip: {
+    label: 'Trip',
+    categories: ['Accommodation', 'Transport', 'Food & Drink', 'Activities', 'Groceries', 'Other'],
+    settings: { defaultSplitType: 'equal', simplifyDebts: true },
+    recurringSuggestions: []
+  },
+  home: {
+    label: 'Home',
+    categories: ['Rent', 'Utilities', 'Groceries', 'Internet', 'Household Supplies', 'Cleaning', 'Other'],
+    settings: { defaultSplitType: 'equal', simplifyDebts: false },
+    recurringSuggestions: [
+      { description: 'Rent', category: 'Rent', frequency: 'monthly' },
+      { description: 'Electricity', category: 'Utilities', frequency: 'monthly' },
+      { description: 'Water', category: 'Utilities', frequency: 'monthly' },
+      { description: 'Internet', category: 'Internet', frequency: 'monthly' },
+      { description: 'Cleaning supplies', category: 'Household Supplies', frequency: 'monthly' }
+    ]
+  },
+  couple: {
+    label: 'Couple',
+    categories: ['Groceries', 'Dining Out', 'Rent', 'Utilities', 'Travel', 'Gifts', 'Other'],
+    settings: { defaultSplitType: 'equal', simplifyDebts: false },
+    recurringSuggestions: []
+  },
+  event: {
+    label: 'Event',
+    categories: ['Venue', 'Food & Drink', 'Decorations', 'Entertainment', 'Gifts', 'Other'],
+    settings: { defaultSplitType: 'equal', simplifyDebts: true },
+    recurringSuggestions: []
+  },
+  other: {
+    label: 'Other',
+    categories: ['Food & Drink', 'Transport', 'Shopping', 'Entertainment', 'Other'],
+    settings: { defaultSplitType: 'equal', simplifyDebts: false },
+    recurringSuggestions: []
+  }
+};
+
+const getTemplate = (type) => TEMPLATES[type] || TEMPLATES.other;
+
+// Where a trip sits relative to today, or null for groups without dates
+const getTripStatus = (group, now = new Date()) => {
+  if (group.type !== 'trip' || !group.startDate) {
+    return null;
+  }
+  if (group.startDate > now) {
+    return 'upcoming';
+  }
+  if (group.endDate && group.endDate < now) {
+    return 'past';
+  }
+  return 'ongoing';
+};
+
+// Template summaries for clients choosing a type
+const listTemplates = () => GROUP_TYPES.map(type => ({
+  type,
+  ...TEMPLATES[type]
+}));
+
+module.exports = {
+  GROUP_TYPES,
+  getTemplate,
+  getTripStatus,
+  listTemplates
+};
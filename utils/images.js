@@ -0,0 +1,84 @@
+// utils/images.js - Resize uploaded photos and store them with a thumbnail
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { getStorage } = require('./storage');
+
+// Formats accepted from clients, checked against the decoded image rather
+// than trusting the declared content type
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif'];
+const PHOTO_SIZE = parseInt(process.env.PHOTO_MAX_DIMENSION, 10) || 1024;
+const THUMBNAIL_SIZE = parseInt(process.env.PHOTO_THUMBNAIL_SIZE, 10) || 256;
+
+class InvalidImageError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidImageError';
+  }
+}
+
+const photoKeys = (prefix) => ({
+  photo: `${prefix}.webp`,
+  thumbnail: `${prefix}-thumb.webp`
+});
+
+// Store a photo and its square thumbnail under a fresh key in `folder`
+// (e.g. "users/<id>"). Returns { photoUrl, thumbnailUrl, storageKey }.
+const storePhoto = async (folder, buffer) => {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (error) {
+    throw new InvalidImageError('File is not a readable image');
+  }
+  if (!ALLOWED_FORMATS.includes(metadata.format)) {
+    throw new InvalidImageError(`Unsupported image format: ${metadata.format}`);
+  }
+
+  // rotate() applies the EXIF orientation before the metadata is dropped
+  const [photo, thumbnail] = await Promise.all([
+    sharp(buffer)
+      .rotate()
+      .resize(PHOTO_SIZE, PHOTO_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 85 })
+      .toBuffer(),
+    sharp(buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'cover' })
+      .webp({ quality: 80 })
+      .toBuffer()
+  ]);
+
+  const storageKey = `${folder}/${crypto.randomBytes(12).toString('hex')}`;
+  const keys = photoKeys(storageKey);
+  const storage = getStorage();
+  const [photoUrl, thumbnailUrl] = await Promise.all([
+    storage.save(keys.photo, photo, 'image/webp'),
+    storage.save(keys.thumbnail, thumbnail, 'image/webp')
+  ]);
+  console.log(`Stored photo ${storageKey} (${metadata.width}x${metadata.height} ${metadata.format})`);
+
+  return { photoUrl, thumbnailUrl, storageKey };
+};
+
+// Remove a photo stored by storePhoto; failures are logged, not thrown, so
+// they never block the change that replaced the photo
+const removePhoto = async (storageKey) => {
+  if (!storageKey) {
+    return;
+  }
+  const keys = photoKeys(storageKey);
+  try {
+    await Promise.all([
+      getStorage().remove(keys.photo),
+      getStorage().remove(keys.thumbnail)
+    ]);
+  } catch (error) {
+    console.error(`Failed to remove photo ${storageKey}:`, error.message);
+  }
+};
+
+module.exports = {
+  InvalidImageError,
+  storePhoto,
+  removePhoto
+};
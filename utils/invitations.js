@@ -0,0 +1,164 @@
+// utils/invitations.js - Invitations for people who don't have an account yet
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const PendingInvitation = require('../models/PendingInvitation');
+const { sendMail, appUrl } = require('./mailer');
+const { recordActivity } = require('./activity');
+
+const INVITATION_TTL_DAYS = parseInt(process.env.INVITATION_TTL_DAYS, 10) || 14;
+
+// The link carries a signed token naming the invitation; the invitation's
+// status in the database decides whether it can still be used
+const signInvitationToken = (invitation) => {
+  return jwt.sign(
+    { inviteId: invitation._id, purpose: 'group_invite' },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.max(1, Math.floor((invitation.expiresAt.getTime() - Date.now()) / 1000)) }
+  );
+};
+
+const invitationLink = (invitation) => appUrl('/invite', { token: signInvitationToken(invitation) });
+
+// Look up the invitation behind a link token. Returns null when the token is
+// invalid or expired, or the invitation is no longer pending.
+const findInvitationByToken = async (token) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    console.log('Invitation token rejected:', error.message);
+    return null;
+  }
+  if (decoded.purpose !== 'group_invite') {
+    return null;
+  }
+
+  return PendingInvitation.findOne({
+    _id: decoded.inviteId,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+};
+
+// Invite an email address to a group and send the link. Re-inviting the same
+// address renews the existing invitation instead of creating another.
+const createPendingInvitation = async ({ group, email, inviter }) => {
+  const normalizedEmail = email.toLowerCase().trim();
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const invitation = await PendingInvitation.findOneAndUpdate(
+    { email: normalizedEmail, group: group._id, status: 'pending' },
+    { invitedBy: inviter._id, expiresAt },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const link = invitationLink(invitation);
+  await sendMail({
+    to: normalizedEmail,
+    subject: `${inviter.name} invited you to "${group.name}"`,
+    text: `Hi,\n\n${inviter.name} invited you to share expenses in the group "${group.name}".\n\nOpen the link below to join. It expires in ${INVITATION_TTL_DAYS} days.\n\n${link}`
+  });
+  console.log(`Pending invitation ${invitation._id} sent to ${normalizedEmail} for group ${group._id}`);
+  await recordActivity({
+    group,
+    actor: inviter,
+    action: 'member_invited',
+    details: { email: normalizedEmail, invitation: invitation._id }
+  });
+
+  return { invitation, link };
+};
+
+// Make a user an active member of a group. Returns false when the group no
+// longer exists or has been archived.
+const addActiveMember = async (groupId, userId) => {
+  const group = await Group.findById(groupId);
+  if (!group || group.archivedAt) {
+    return false;
+  }
+
+  if (group.admin.toString() !== userId.toString()) {
+    const membership = group.members.find(m => m.user.toString() === userId.toString());
+    if (membership) {
+      membership.status = 'active';
+    } else {
+      group.members.push({ user: userId, status: 'active', role: 'member' });
+    }
+    group.updatedAt = new Date();
+    await group.save();
+  }
+
+  await User.findByIdAndUpdate(userId, { $addToSet: { groups: group._id } });
+  return true;
+};
+
+const acceptInvitation = async (invitation, user) => {
+  const joined = await addActiveMember(invitation.group, user._id);
+
+  invitation.status = joined ? 'accepted' : 'revoked';
+  invitation.acceptedBy = joined ? user._id : undefined;
+  invitation.acceptedAt = joined ? new Date() : undefined;
+  await invitation.save();
+
+  if (joined) {
+    await recordActivity({
+      group: invitation.group,
+      actor: user,
+      action: 'member_joined',
+      details: { email: invitation.email, invitation: invitation._id }
+    });
+  }
+
+  return joined;
+};
+
+// The address invitations may be claimed for: the account email once it is
+// verified, or when it is the address Google verified for the linked
+// account. null while neither holds.
+const verifiedEmailOf = (user) => {
+  if (!user.email) {
+    return null;
+  }
+  const email = user.email.toLowerCase();
+  if (user.emailVerified || user.googleEmail?.toLowerCase() === email) {
+    return email;
+  }
+  return null;
+};
+
+// Join every group the user's verified email was invited to. Returns the
+// IDs of the groups joined.
+const claimPendingInvitations = async (user) => {
+  const email = verifiedEmailOf(user);
+  if (!email) {
+    console.log(`User ${user._id} has no verified email, pending invitations not claimed`);
+    return [];
+  }
+
+  const invitations = await PendingInvitation.find({
+    email,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  });
+
+  const joinedGroups = [];
+  for (const invitation of invitations) {
+    if (await acceptInvitation(invitation, user)) {
+      joinedGroups.push(invitation.group);
+    }
+  }
+
+  if (joinedGroups.length > 0) {
+    console.log(`User ${user._id} joined ${joinedGroups.length} groups from pending invitations`);
+  }
+  return joinedGroups;
+};
+
+module.exports = {
+  createPendingInvitation,
+  findInvitationByToken,
+  invitationLink,
+  acceptInvitation,
+  claimPendingInvitations
+};
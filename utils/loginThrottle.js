@@ -0,0 +1,178 @@
+// utils/loginThrottle.js - Per-IP and per-account login throttling with lockout
+const LoginThrottle = require('../models/LoginThrottle');
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures allowed before lockouts start, per key type
+const ACCOUNT_FREE_ATTEMPTS = parseInt(process.env.LOGIN_ACCOUNT_FREE_ATTEMPTS, 10) || 5;
+const IP_FREE_ATTEMPTS = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS, 10) || 20;
+// First lockout length, doubled for every further failure
+const BASE_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_BASE_LOCKOUT_SECONDS, 10) || 30;
+const MAX_LOCKOUT_SECONDS = parseInt(process.env.LOGIN_MAX_LOCKOUT_SECONDS, 10) || 60 * 60;
+// Counters are forgotten after this long without a failure
+const COUNTER_TTL_SECONDS = 24 * 60 * 60;
+
+// A store keeps { failures, lockedUntil } records by key:
+//   get(key) -> record or null
+//   increment(key, ttlSeconds) -> failures after counting one more, done
+//     atomically so parallel failures are all counted
+//   lock(key, lockedUntil) -> extends the lockout, never shortens it
+//   delete(key)
+
+const createMemoryStore = () => {
+  const records = new Map();
+
+  const liveEntry = (key) => {
+    const entry = records.get(key);
+    if (entry && entry.expiresAt <= Date.now()) {
+      records.delete(key);
+      return null;
+    }
+    return entry || null;
+  };
+
+  return {
+    name: 'memory',
+    get: async (key) => liveEntry(key)?.record || null,
+    increment: async (key, ttlSeconds) => {
+      const entry = liveEntry(key) || { record: { failures: 0, lockedUntil: null } };
+      entry.record.failures += 1;
+      entry.expiresAt = Date.now() + ttlSeconds * 1000;
+      records.set(key, entry);
+      return entry.record.failures;
+    },
+    lock: async (key, lockedUntil) => {
+      const entry = liveEntry(key);
+      if (entry && !(entry.record.lockedUntil > lockedUntil)) {
+        entry.record.lockedUntil = lockedUntil;
+      }
+    },
+    delete: async (key) => {
+      records.delete(key);
+    }
+  };
+};
+
+const createMongoStore = () => ({
+  name: 'mongo',
+  get: async (key) => {
+    const doc = await LoginThrottle.findOne({ key, expiresAt: { $gt: new Date() } });
+    return doc ? { failures: doc.failures, lockedUntil: doc.lockedUntil } : null;
+  },
+  // A pipeline update, so a counter that has expired but that the TTL
+  // monitor has not removed yet starts again from one instead of carrying
+  // its old failures and lockout into the new window
+  increment: async (key, ttlSeconds) => {
+    const now = new Date();
+    const live = { $gt: ['$expiresAt', now] };
+    const doc = await LoginThrottle.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          failures: { $cond: [live, { $add: ['$failures', 1] }, 1] },
+          lockedUntil: { $cond: [live, '$lockedUntil', null] },
+          expiresAt: new Date(now.getTime() + ttlSeconds * 1000)
+        }
+      }],
+      { upsert: true, new: true }
+    );
+    return doc.failures;
+  },
+  lock: async (key, lockedUntil) => {
+    await LoginThrottle.updateOne({ key }, { $max: { lockedUntil } });
+  },
+  delete: async (key) => {
+    await LoginThrottle.deleteOne({ key });
+  }
+});
+
+const createStoreFromEnv = () => {
+  const storeName = process.env.LOGIN_THROTTLE_STORE ||
+    (process.env.NODE_ENV === 'test' ? 'memory' : 'mongo');
+  return storeName === 'memory' ? createMemoryStore() : createMongoStore();
+};
+
+let store = null;
+
+const getStore = () => {
+  if (!store) {
+    store = createStoreFromEnv();
+    console.log(`Login throttle using ${store.name} store`);
+  }
+  return store;
+};
+
+const setStore = (nextStore) => {
+  store = nextStore;
+};
+
+const keysFor = ({ email, ip }) => {
+  const keys = [];
+  if (email) {
+    keys.push({ key: `account:${email.toLowerCase()}`, freeAttempts: ACCOUNT_FREE_ATTEMPTS });
+  }
+  if (ip) {
+    keys.push({ key: `ip:${ip}`, freeAttempts: IP_FREE_ATTEMPTS });
+  }
+  return keys;
+};
+
+const lockoutSeconds = (failures, freeAttempts) => {
+  if (failures < freeAttempts) {
+    return 0;
+  }
+  return Math.min(BASE_LOCKOUT_SECONDS * 2 ** (failures - freeAttempts), MAX_LOCKOUT_SECONDS);
+};
+
+// Seconds until the email/IP pair may try again, or 0 when not locked
+const getRetryAfter = async (identity) => {
+  let retryAfter = 0;
+  for (const { key } of keysFor(identity)) {
+    const record = await getStore().get(key);
+    if (record?.lockedUntil) {
+      const remaining = Math.ceil((new Date(record.lockedUntil).getTime() - Date.now()) / 1000);
+      retryAfter = Math.max(retryAfter, remaining);
+    }
+  }
+  return retryAfter;
+};
+
+// Count a failed attempt and return the lockout it triggered, in seconds
+const recordFailure = async (identity) => {
+  let retryAfter = 0;
+  for (const { key, freeAttempts } of keysFor(identity)) {
+    const failures = await getStore().increment(key, COUNTER_TTL_SECONDS);
+    const lockSeconds = lockoutSeconds(failures, freeAttempts);
+    if (lockSeconds) {
+      await getStore().lock(key, new Date(Date.now() + lockSeconds * 1000));
+    }
+    retryAfter = Math.max(retryAfter, lockSeconds);
+  }
+  return retryAfter;
+};
+
+// A successful login clears the account counter. The IP counter is left
+// alone so one valid account cannot be used to keep guessing others.
+const recordSuccess = async ({ email }) => {
+  if (email) {
+    await getStore().delete(`account:${email.toLowerCase()}`);
+  }
+};
+
+// Keep an audit trail of attempts; failures to write it never block login
+const logAttempt = async ({ email, user, ip, userAgent, success, reason }) => {
+  try {
+    await LoginAttempt.create({ email, user, ip, userAgent, success, reason });
+  } catch (error) {
+    console.error('Failed to record login attempt:', error.message);
+  }
+};
+
+module.exports = {
+  createMemoryStore,
+  createMongoStore,
+  setStore,
+  getRetryAfter,
+  recordFailure,
+  recordSuccess,
+  logAttempt
+};
@@ -0,0 +1,77 @@
+// utils/mailer.js - Outgoing mail through a swappable transport
+const fs = require('fs');
+const path = require('path');
+
+// A transport is any object with `name` and an async `send(message)`, where
+// message is { from, to, subject, text }. Production deployments plug in a
+// real provider with setTransport(); console and file transports cover
+// local development and tests.
+
+const createConsoleTransport = () => ({
+  name: 'console',
+  send: async (message) => {
+    console.log('========== OUTGOING MAIL ==========');
+    console.log(`From: ${message.from}`);
+    console.log(`To: ${message.to}`);
+    console.log(`Subject: ${message.subject}`);
+    console.log('');
+    console.log(message.text);
+    console.log('===================================');
+  }
+});
+
+// Writes each message as a JSON file so tests can read what was sent
+const createFileTransport = (directory) => ({
+  name: 'file',
+  send: async (message) => {
+    await fs.promises.mkdir(directory, { recursive: true });
+    const fileName = `${Date.now()}-${Math.random().toString(36).substring(2, 8)}.json`;
+    await fs.promises.writeFile(
+      path.join(directory, fileName),
+      JSON.stringify({ ...message, sentAt: new Date().toISOString() }, null, 2)
+    );
+  }
+});
+
+const createTransportFromEnv = () => {
+  if (process.env.MAIL_TRANSPORT === 'file') {
+    return createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox'));
+  }
+  return createConsoleTransport();
+};
+
+let transport = null;
+
+const setTransport = (nextTransport) => {
+  transport = nextTransport;
+};
+
+const sendMail = async ({ to, subject, text }) => {
+  if (!transport) {
+    transport = createTransportFromEnv();
+    console.log(`Mailer using ${transport.name} transport`);
+  }
+
+  await transport.send({
+    from: process.env.MAIL_FROM || 'no-reply@localhost',
+    to,
+    subject,
+    text
+  });
+  console.log(`Mail "${subject}" sent to ${to}`);
+};
+
+// Build a link into the client app, e.g. appUrl('/reset-password', { token })
+const appUrl = (pathname, params = {}) => {
+  const url = new URL(pathname, process.env.APP_URL || 'http://localhost:3000');
+  Object.entries(params).forEach(([key, value]) => url.searchParams.set(key, value));
+  return url.toString();
+};
+
+module.exports = {
+  sendMail,
+  setTransport,
+  createConsoleTransport,
+  createFileTransport,
+  appUrl
+};
@@ -0,0 +1,82 @@
+// utils/money.js - Exact money arithmetic in integer minor units
+//
+// Amounts are stored and added up as whole minor units (cents for USD, yen
+// for JPY) so totals never drift. The API still speaks major units; convert
+// with toMinor on the way in and fromMinor on the way out.
+
+// ISO 4217 currencies whose minor unit is not 1/100. Everything else uses two
+// decimal places.
+const MINOR_UNIT_EXPONENTS = {
+  BIF: 0, CLP: 0, DJF: 0, GNF: 0, ISK: 0, JPY: 0, KMF: 0, KRW: 0, PYG: 0,
+  RWF: 0, UGX: 0, UYI: 0, VND: 0, VUV: 0, XAF: 0, XOF: 0, XPF: 0,
+  BHD: 3, IQD: 3, JOD: 3, KWD: 3, LYD: 3, OMR: 3, TND: 3
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+// Number of decimal places in the currency's minor unit
+const minorUnitExponent = (currency = DEFAULT_CURRENCY) => {
+  const code = (currency || DEFAULT_CURRENCY).toUpperCase();
+  return MINOR_UNIT_EXPONENTS[code] ?? 2;
+};
+
+// Major units (e.g. 12.34) to an integer number of minor units (1234).
+// Shifting the decimal point through the string form avoids float artefacts
+// like 1.005 * 100 = 100.49999. Returns NaN for anything that is not a
+// finite number.
+const toMinor = (amount, currency = DEFAULT_CURRENCY) => {
+  const value = Number(amount);
+  if (amount === null || amount === '' || !Number.isFinite(value)) {
+    return NaN;
+  }
+  const exponent = minorUnitExponent(currency);
+  const text = String(value);
+  const shifted = text.includes('e') ? value * 10 ** exponent : Number(`${text}e${exponent}`);
+  const minor = Math.round(shifted);
+  return Number.isSafeInteger(minor) ? minor : NaN;
+};
+
+// Integer minor units back to major units for responses
+const fromMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  const exponent = minorUnitExponent(currency);
+  return Number(((minor || 0) / 10 ** exponent).toFixed(exponent));
+};
+
+// Minor units as a fixed-point string for messages, e.g. 1234 -> "12.34"
+const formatMinor = (minor, currency = DEFAULT_CURRENCY) => {
+  return fromMinor(minor, currency).toFixed(minorUnitExponent(currency));
+};
+
+const sumMinor = (values) => values.reduce((sum, value) => sum + value, 0);
+
+// Share out `total` minor units in proportion to `weights` so the parts add
+// up to exactly `total`. Leftover units go to the largest remainders, ties
+// to the earlier entry, so the same inputs always give the same split.
+const allocate = (total, weights) => {
+  const weightTotal = sumMinor(weights);
+  const exact = weights.map(weight => (total * weight) / weightTotal);
+  const parts = exact.map(Math.floor);
+
+  let leftover = total - sumMinor(parts);
+  const byRemainder = exact
+    .map((value, index) => ({ index, remainder: value - Math.floor(value) }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+  for (const { index } of byRemainder) {
+    if (leftover <= 0) {
+      break;
+    }
+    parts[index] += 1;
+    leftover -= 1;
+  }
+  return parts;
+};
+
+module.exports = {
+  DEFAULT_CURRENCY,
+  minorUnitExponent,
+  toMinor,
+  fromMinor,
+  formatMinor,
+  sumMinor,
+  allocate
+};
@@ -0,0 +1,80 @@
+// utils/passwords.js - Password policy and hashing
+const bcrypt = require('bcryptjs');
+const loginThrottle = require('./loginThrottle');
+
+const envFlag = (name, fallback) => {
+  if (process.env[name] === undefined) {
+    return fallback;
+  }
+  return process.env[name] === 'true';
+};
+
+// Configurable through the environment; defaults follow common guidance
+const policy = {
+  minLength: parseInt(process.env.PASSWORD_MIN_LENGTH, 10) || 8,
+  // bcrypt ignores everything after 72 bytes
+  maxLength: 72,
+  requireLetter: envFlag('PASSWORD_REQUIRE_LETTER', true),
+  requireDigit: envFlag('PASSWORD_REQUIRE_DIGIT', true),
+  requireSymbol: envFlag('PASSWORD_REQUIRE_SYMBOL', false)
+};
+
+// Return a list of policy violations; empty when the password is acceptable
+const validatePassword = (password, { email } = {}) => {
+  const errors = [];
+
+  if (typeof password !== 'string' || password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+    return errors;
+  }
+  if (Buffer.byteLength(password) > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} bytes long`);
+  }
+  if (policy.requireLetter && !/[a-zA-Z]/.test(password)) {
+    errors.push('Password must contain a letter');
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push('Password must contain a number');
+  }
+  if (policy.requireSymbol && !/[^a-zA-Z0-9]/.test(password)) {
+    errors.push('Password must contain a symbol');
+  }
+  if (email && password.toLowerCase() === email.toLowerCase()) {
+    errors.push('Password must not be the same as your email');
+  }
+
+  return errors;
+};
+
+const hashPassword = async (password) => {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+};
+
+// Check a signed-in user's current password before a sensitive change.
+// Wrong guesses count towards the same account lockout as /login, so a
+// stolen access token is no use for guessing the password. Returns
+// { ok } and, when locked out, { lockedOut, retryAfter }.
+const verifyCurrentPassword = async (user, password, { ip, userAgent } = {}) => {
+  const attempt = { email: user.email, ip, userAgent };
+
+  const retryAfter = await loginThrottle.getRetryAfter(attempt);
+  if (retryAfter > 0) {
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'locked_out' });
+    return { ok: false, lockedOut: true, retryAfter };
+  }
+
+  if (!user.password || !password || !(await bcrypt.compare(password, user.password))) {
+    await loginThrottle.recordFailure(attempt);
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'invalid_password' });
+    return { ok: false };
+  }
+  return { ok: true };
+};
+
+module.exports = {
+  passwordPolicy: policy,
+  validatePassword,
+  hashPassword,
+  verifyCurrentPassword
+};
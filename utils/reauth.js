@@ -0,0 +1,115 @@
+// utils/reauth.js - Second factor checks and re-authentication before sensitive account changes
+const totp = require('./totp');
+const loginThrottle = require('./loginThrottle');
+const { hashToken } = require('./tokens');
+const { verifyCurrentPassword } = require('./passwords');
+const { verifyGoogleIdToken, googleClientIds } = require('./googleVerifier');
+
+// How old a Google ID token may be when it is used to confirm a change
+const GOOGLE_REAUTH_MAX_AGE_SECONDS = 5 * 60;
+
+// Check a TOTP code or a recovery code for a user with 2FA enabled. Consumes
+// the code on success so it cannot be reused; the caller saves the user.
+// Codes that are not strings count as wrong codes.
+const checkSecondFactor = (user, { code, recoveryCode }) => {
+  if (recoveryCode) {
+    if (typeof recoveryCode !== 'string') {
+      return false;
+    }
+    const hash = hashToken(recoveryCode.trim().toLowerCase());
+    const index = user.twoFactor.recoveryCodes.indexOf(hash);
+    if (index === -1) {
+      return false;
+    }
+    user.twoFactor.recoveryCodes.splice(index, 1);
+    return true;
+  }
+
+  if (typeof code !== 'string') {
+    return false;
+  }
+  const step = totp.verifyCode(user.twoFactor.secret, code, {
+    lastUsedStep: user.twoFactor.lastUsedStep ?? -1
+  });
+  if (step === null) {
+    return false;
+  }
+  user.twoFactor.lastUsedStep = step;
+  return true;
+};
+
+// Ask a signed-in user with 2FA on for a code before a sensitive change.
+// Wrong codes count towards the same lockout as /login, and a locked
+// account is refused before the code is checked, so a stolen access token
+// is no use for guessing codes. Returns null or a failure like
+// confirmIdentity; the caller saves the user.
+const confirmSecondFactor = async (user, { code, recoveryCode }, { ip, userAgent } = {}) => {
+  const attempt = { email: user.email, ip, userAgent };
+
+  const retryAfter = await loginThrottle.getRetryAfter(attempt);
+  if (retryAfter > 0) {
+    console.log(`2FA check blocked: Locked out for another ${retryAfter}s`);
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'locked_out' });
+    return { status: 429, message: 'Too many failed attempts, please try again later', retryAfter };
+  }
+
+  if (!checkSecondFactor(user, { code, recoveryCode })) {
+    console.log('2FA check failed: Invalid code');
+    await loginThrottle.recordFailure(attempt);
+    await loginThrottle.logAttempt({ ...attempt, user: user._id, success: false, reason: 'invalid_two_factor_code' });
+    return { status: 401, message: 'Invalid authentication code', twoFactorRequired: true };
+  }
+  return null;
+};
+
+// Make a signed-in user prove it is them before a sensitive change: the
+// current password or a freshly issued Google ID token for the account,
+// plus a 2FA code when 2FA is on. `body` is the request body and
+// `context` is { ip, userAgent }. Returns null when the check passes, or
+// { status, message, ... } for the route to send. A used 2FA code is
+// consumed, so the caller saves the user.
+const confirmIdentity = async (user, { currentPassword, idToken, code, recoveryCode }, { ip, userAgent } = {}) => {
+  const attempt = { email: user.email, ip, userAgent };
+
+  if (currentPassword) {
+    const check = await verifyCurrentPassword(user, currentPassword, attempt);
+    if (check.lockedOut) {
+      console.log(`Identity check blocked: Locked out for another ${check.retryAfter}s`);
+      return { status: 429, message: 'Too many failed attempts, please try again later', retryAfter: check.retryAfter };
+    }
+    if (!check.ok) {
+      console.log('Identity check failed: Current password is wrong');
+      return { status: 401, message: 'Current password is incorrect' };
+    }
+  } else if (idToken) {
+    let payload;
+    try {
+      payload = await verifyGoogleIdToken(idToken, googleClientIds);
+    } catch (error) {
+      if (error.name !== 'GoogleTokenError') {
+        throw error;
+      }
+      console.log(`Identity check failed: Token verification failed (${error.code})`);
+      return { status: 401, message: error.message, code: error.code };
+    }
+    const age = Math.floor(Date.now() / 1000) - payload.iat;
+    if (payload.sub !== user.googleId || !(age <= GOOGLE_REAUTH_MAX_AGE_SECONDS)) {
+      console.log('Identity check failed: Google token is for another account or too old');
+      return { status: 401, message: 'Sign in with Google again to confirm this change' };
+    }
+  } else {
+    console.log('Identity check failed: No password or Google token provided');
+    return { status: 400, message: 'Confirm this change with your current password or a Google sign-in' };
+  }
+
+  if (user.twoFactor?.enabled) {
+    return confirmSecondFactor(user, { code, recoveryCode }, { ip, userAgent });
+  }
+  return null;
+};
+
+module.exports = {
+  checkSecondFactor,
+  confirmSecondFactor,
+  confirmIdentity
+};
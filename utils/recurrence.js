@@ -0,0 +1,222 @@
+// utils/recurrence.js - When a recurring expense falls due
+//
+// Schedules are plain objects (or RecurringExpense documents) with
+// frequency, interval, cron, startDate and endDate. Daily, weekly, monthly
+// and yearly occurrences are counted from startDate, so a monthly expense
+// that starts on the 31st lands on the last day of shorter months without
+// drifting. Cron expressions use the usual five fields and are read in UTC.
+
+class RecurrenceError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'RecurrenceError';
+  }
+}
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly', 'yearly', 'cron'];
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// How far ahead to look for a cron match before giving up, e.g. for
+// "0 0 31 2 *" (February 31st)
+const MAX_CRON_SEARCH_DAYS = 366 * 5;
+
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// One cron field: "*", "5", "1-5", "*/15", "10-40/10" or a comma list of those
+const parseCronField = (text, { name, min, max }) => {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new RecurrenceError(`Invalid cron ${name}: "${part}"`);
+    }
+    const step = match[4] === undefined ? 1 : Number(match[4]);
+    const start = match[1] ? min : Number(match[2]);
+    let end = start;
+    if (match[1] || (match[3] === undefined && match[4] !== undefined)) {
+      end = max;
+    } else if (match[3] !== undefined) {
+      end = Number(match[3]);
+    }
+    if (start < min || end > max || start > end || step < 1) {
+      throw new RecurrenceError(`Cron ${name} must be between ${min} and ${max}: "${part}"`);
+    }
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+  return [...values].sort((a, b) => a - b);
+};
+
+// "minute hour day-of-month month day-of-week". Like cron, when both day
+// fields are restricted a day matching either one counts.
+const parseCron = (expression) => {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new RecurrenceError('Cron expressions need five fields: minute hour day-of-month month day-of-week');
+  }
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, index) => parseCronField(field, CRON_FIELDS[index]));
+  return {
+    minutes,
+    hours,
+    daysOfMonth: new Set(daysOfMonth),
+    months: new Set(months),
+    // 7 is another way of writing Sunday
+    daysOfWeek: new Set(daysOfWeek.map(day => day % 7)),
+    // Like cron, a field starting with "*" (such as "*/2") counts as
+    // unrestricted when deciding how the two day fields combine
+    anyDayOfMonth: fields[2].startsWith('*'),
+    anyDayOfWeek: fields[4].startsWith('*')
+  };
+};
+
+const cronDayMatches = (cron, date) => {
+  const dayOfMonth = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeek = cron.daysOfWeek.has(date.getUTCDay());
+  if (cron.anyDayOfMonth || cron.anyDayOfWeek) {
+    return dayOfMonth && dayOfWeek;
+  }
+  return dayOfMonth || dayOfWeek;
+};
+
+// First minute at or after `from` that matches the expression, or null
+const nextCronDate = (cron, from) => {
+  const fromTime = from.getTime();
+  let day = Date.UTC(from.getUTCFullYear(), from.getUTCMonth(), from.getUTCDate());
+  for (let searched = 0; searched < MAX_CRON_SEARCH_DAYS; searched++, day += DAY_MS) {
+    const date = new Date(day);
+    if (!cron.months.has(date.getUTCMonth() + 1) || !cronDayMatches(cron, date)) {
+      continue;
+    }
+    for (const hour of cron.hours) {
+      for (const minute of cron.minutes) {
+        const candidate = day + hour * HOUR_MS + minute * MINUTE_MS;
+        if (candidate >= fromTime) {
+          return new Date(candidate);
+        }
+      }
+    }
+  }
+  return null;
+};
+
+// Same day of the month `months` later, or the month's last day if it is
+// shorter, keeping the time of day
+const addMonths = (date, months) => {
+  const year = date.getUTCFullYear();
+  const month = date.getUTCMonth() + months;
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(
+    year,
+    month,
+    Math.min(date.getUTCDate(), lastDay),
+    date.getUTCHours(),
+    date.getUTCMinutes(),
+    date.getUTCSeconds(),
+    date.getUTCMilliseconds()
+  ));
+};
+
+// The index-th occurrence counted from startDate
+const occurrenceAt = (schedule, index) => {
+  const start = new Date(schedule.startDate);
+  const steps = index * (schedule.interval || 1);
+  switch (schedule.frequency) {
+    case 'daily':
+      return new Date(start.getTime() + steps * DAY_MS);
+    case 'weekly':
+      return new Date(start.getTime() + steps * 7 * DAY_MS);
+    case 'monthly':
+      return addMonths(start, steps);
+    case 'yearly':
+      return addMonths(start, steps * 12);
+    default:
+      throw new RecurrenceError(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+};
+
+// Longest possible gap between occurrences, so the first guess at an index
+// never overshoots
+const LONGEST_PERIOD_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 31 * DAY_MS,
+  yearly: 366 * DAY_MS
+};
+
+// First occurrence at or after `from` (and never before startDate), or null
+// once the schedule has ended
+const nextOccurrence = (schedule, from = new Date()) => {
+  const start = new Date(schedule.startDate);
+  const after = from > start ? from : start;
+
+  let next;
+  if (schedule.frequency === 'cron') {
+    next = nextCronDate(parseCron(schedule.cron), after);
+  } else {
+    const period = LONGEST_PERIOD_MS[schedule.frequency] * (schedule.interval || 1);
+    let index = Math.max(0, Math.floor((after - start) / period) - 1);
+    next = occurrenceAt(schedule, index);
+    while (next < after) {
+      index++;
+      next = occurrenceAt(schedule, index);
+    }
+  }
+
+  if (!next || (schedule.endDate && next > new Date(schedule.endDate))) {
+    return null;
+  }
+  return next;
+};
+
+// The occurrence after `occurrence`, or null once the schedule has ended
+const followingOccurrence = (schedule, occurrence) => nextOccurrence(schedule, new Date(occurrence.getTime() + 1));
+
+const isOccurrence = (schedule, date) => nextOccurrence(schedule, date)?.getTime() === date.getTime();
+
+// Check a schedule from a request and return it normalized:
+// { frequency, interval, cron, startDate, endDate }
+const normalizeSchedule = ({ frequency, interval, cron, startDate, endDate }) => {
+  if (!FREQUENCIES.includes(frequency)) {
+    throw new RecurrenceError(`Frequency must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const start = new Date(startDate);
+  if (startDate === undefined || startDate === null || isNaN(start)) {
+    throw new RecurrenceError('A valid startDate is required');
+  }
+  const end = endDate === undefined || endDate === null ? null : new Date(endDate);
+  if (end && (isNaN(end) || end < start)) {
+    throw new RecurrenceError('endDate must be a valid date on or after startDate');
+  }
+
+  if (frequency === 'cron') {
+    parseCron(cron);
+    return { frequency, interval: 1, cron: String(cron).trim(), startDate: start, endDate: end };
+  }
+
+  const every = interval === undefined || interval === null ? 1 : Number(interval);
+  if (!Number.isInteger(every) || every < 1) {
+    throw new RecurrenceError('interval must be a whole number of at least 1');
+  }
+  return { frequency, interval: every, cron: null, startDate: start, endDate: end };
+};
+
+module.exports = {
+  FREQUENCIES,
+  RecurrenceError,
+  parseCron,
+  nextOccurrence,
+  followingOccurrence,
+  isOccurrence,
+  normalizeSchedule
+};
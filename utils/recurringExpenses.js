@@ -0,0 +1,402 @@
+// utils/recurringExpenses.js - Recurring expense templates and the scheduler that turns them into expenses
+const Group = require('../models/Group');
+const Expense = require('../models/Expense');
+const RecurringExpense = require('../models/RecurringExpense');
+const { idOf, isActiveMember } = require('./groupAccess');
+const { currencyError, resolveExpenseDefaults } = require('./groupSettings');
+const { recordActivity, snapshotExpense } = require('./activity');
+const { notifyExpenseMembers } = require('./expenses');
+const { fromMinor } = require('./money');
+const { followingOccurrence, normalizeSchedule } = require('./recurrence');
+const {
+  SplitError,
+  expenseAmountMinor,
+  buildSplits,
+  buildPayers,
+  payersOf,
+  primaryPayerOf
+} = require('./splits');
+
+// A scheduler that was down for a while creates at most this many missed
+// expenses per template on each run; the rest follow on the next runs
+const MAX_CATCH_UP_OCCURRENCES = 12;
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// The split inputs a template was set up with, in the shape buildSplits
+// takes (major units)
+const splitInputsFromTemplate = (template) => {
+  const inputs = {};
+  for (const participant of template.participants) {
+    const memberId = idOf(participant.user);
+    if (participant.amountMinor !== undefined && participant.amountMinor !== null) {
+      inputs.splitAmounts = { ...inputs.splitAmounts, [memberId]: fromMinor(participant.amountMinor, template.currency) };
+    }
+    if (participant.percentage !== undefined && participant.percentage !== null) {
+      inputs.splitPercentages = { ...inputs.splitPercentages, [memberId]: participant.percentage };
+    }
+    if (participant.shares !== undefined && participant.shares !== null) {
+      inputs.splitShares = { ...inputs.splitShares, [memberId]: participant.shares };
+    }
+  }
+  return inputs;
+};
+
+// Work out the payers and splits for one expense from the template and the
+// group as it is now. Throws SplitError when that is no longer possible,
+// e.g. a payer has left the group.
+const resolveTemplateSplits = (group, template) => {
+  const defaults = resolveExpenseDefaults(group, {
+    splitType: template.splitType,
+    splitAmong: template.participants.map(participant => idOf(participant.user)),
+    currency: template.currency
+  });
+  const currencyProblem = currencyError(group, defaults.currency);
+  if (currencyProblem) {
+    throw new SplitError(currencyProblem);
+  }
+
+  const payerList = payersOf(template);
+  if (payerList.some(payer => !isActiveMember(group, payer.user))) {
+    throw new SplitError('Every payer must be an active member of the group');
+  }
+
+  const splitDetails = buildSplits({
+    amountMinor: template.amountMinor,
+    currency: defaults.currency,
+    splitType: defaults.splitType,
+    participantIds: defaults.participantIds,
+    ...splitInputsFromTemplate(template),
+    payerIds: payerList.map(payer => payer.user)
+  });
+
+  return { payerList, splitDetails };
+};
+
+// Check a create or edit request and turn it into template fields. `input`
+// is in the same shape as an add-expense request plus the schedule
+// (frequency, interval, cron, startDate, endDate). Throws SplitError or
+// RecurrenceError.
+const buildRecurringFields = (group, input, userId) => {
+  const defaults = resolveExpenseDefaults(group, {
+    splitType: input.splitType,
+    splitAmong: input.splitAmong,
+    currency: input.currency
+  });
+  if (defaults.splitType === 'itemized') {
+    throw new SplitError('Recurring expenses cannot be itemized');
+  }
+  const currencyProblem = currencyError(group, defaults.currency);
+  if (currencyProblem) {
+    throw new SplitError(currencyProblem);
+  }
+
+  const amountMinor = expenseAmountMinor({ amount: input.amount, currency: defaults.currency });
+  const payerList = input.payers !== undefined && input.payers !== null
+    ? buildPayers({ payers: input.payers, amountMinor, currency: defaults.currency })
+    : [{ user: (input.paidBy || userId).toString(), amountMinor }];
+  if (payerList.some(payer => !isActiveMember(group, payer.user))) {
+    throw new SplitError('Every payer must be an active member of the group');
+  }
+
+  // Split once now so a template that can't be split is refused up front
+  // rather than at its first occurrence
+  const splitDetails = buildSplits({
+    amountMinor,
+    currency: defaults.currency,
+    splitType: defaults.splitType,
+    participantIds: defaults.participantIds,
+    splitAmounts: input.splitAmounts,
+    splitPercentages: input.splitPercentages,
+    splitShares: input.splitShares,
+    payerIds: payerList.map(payer => payer.user)
+  });
+
+  // An equal split with no members picked follows the group's default
+  // participants, so people who join later share later expenses
+  const followsDefaults = defaults.splitType === 'equal' && !(input.splitAmong && input.splitAmong.length > 0);
+  const participants = followsDefaults ? [] : splitDetails.map(split => {
+    const participant = { user: split.user };
+    if (defaults.splitType === 'unequal') {
+      participant.amountMinor = split.amountMinor;
+    } else if (defaults.splitType === 'mixed' && split.fixedAmountMinor !== undefined) {
+      participant.amountMinor = split.fixedAmountMinor;
+    } else if (defaults.splitType === 'percentage') {
+      participant.percentage = split.percentage;
+    } else if (defaults.splitType === 'shares') {
+      participant.shares = split.shares;
+    }
+    return participant;
+  });
+
+  return {
+    description: input.description,
+    amountMinor,
+    currency: defaults.currency,
+    paidBy: primaryPayerOf(payerList),
+    payers: payerList.length > 1 ? payerList : [],
+    splitType: defaults.splitType,
+    participants,
+    category: input.category || 'Other',
+    notes: input.notes,
+    ...normalizeSchedule(input)
+  };
+};
+
+// A template as an edit request, so a PATCH can change only some fields
+const recurringInputs = (template) => ({
+  description: template.description,
+  amount: template.amount,
+  currency: template.currency,
+  paidBy: idOf(template.paidBy),
+  payers: template.payers.length > 0
+    ? template.payers.map(payer => ({ user: idOf(payer.user), amount: fromMinor(payer.amountMinor, template.currency) }))
+    : undefined,
+  splitType: template.splitType,
+  splitAmong: template.participants.map(participant => idOf(participant.user)),
+  ...splitInputsFromTemplate(template),
+  category: template.category,
+  notes: template.notes,
+  frequency: template.frequency,
+  interval: template.interval,
+  cron: template.cron,
+  startDate: template.startDate,
+  endDate: template.endDate
+});
+
+// Templates as returned to clients
+const recurringPayload = (template) => ({
+  _id: template._id,
+  group: template.group,
+  createdBy: template.createdBy,
+  description: template.description,
+  amount: template.amount,
+  currency: template.currency,
+  paidBy: template.paidBy,
+  payers: payersOf(template).map(payer => ({
+    user: payer.user,
+    amount: fromMinor(payer.amountMinor, template.currency)
+  })),
+  splitType: template.splitType,
+  participants: template.participants.map(participant => ({
+    user: participant.user,
+    amount: participant.amount,
+    percentage: participant.percentage,
+    shares: participant.shares
+  })),
+  category: template.category,
+  notes: template.notes,
+  frequency: template.frequency,
+  interval: template.interval,
+  cron: template.cron || null,
+  startDate: template.startDate,
+  endDate: template.endDate || null,
+  nextOccurrence: template.nextOccurrence || null,
+  skippedDates: template.skippedDates,
+  paused: Boolean(template.pausedAt),
+  pausedAt: template.pausedAt || null,
+  occurrenceCount: template.occurrenceCount,
+  lastOccurrenceAt: template.lastOccurrenceAt || null,
+  lastError: template.lastError?.message ? template.lastError : null,
+  createdAt: template.createdAt,
+  updatedAt: template.updatedAt
+});
+
+// Create the expense for one occurrence, dated at the occurrence. Returns
+// the expense, or null when the group is gone or archived, when the
+// expense already exists, or when the template can no longer be split; in
+// that last case it is paused with the reason in lastError until someone
+// fixes it.
+const materializeOccurrence = async (template, occurrence, now = new Date()) => {
+  const group = await Group.findById(template.group);
+  if (!group) {
+    console.log(`Recurring expense ${template._id}: group ${template.group} no longer exists`);
+    return null;
+  }
+  if (group.archivedAt) {
+    console.log(`Recurring expense ${template._id}: group ${group._id} is archived, occurrence ${occurrence.toISOString()} not created`);
+    return null;
+  }
+
+  let resolved;
+  try {
+    resolved = resolveTemplateSplits(group, template);
+  } catch (error) {
+    if (!(error instanceof SplitError)) {
+      throw error;
+    }
+    console.log(`Recurring expense ${template._id} paused: ${error.message}`);
+    await RecurringExpense.updateOne(
+      { _id: template._id },
+      { pausedAt: now, lastError: { message: error.message, at: now }, updatedAt: now }
+    );
+    return null;
+  }
+
+  const { payerList, splitDetails } = resolved;
+  let expense;
+  try {
+    expense = await Expense.create({
+      group: group._id,
+      description: template.description,
+      amountMinor: template.amountMinor,
+      currency: template.currency,
+      paidBy: primaryPayerOf(payerList),
+      payers: payerList.length > 1 ? payerList : [],
+      splitAmong: splitDetails,
+      category: template.category,
+      notes: template.notes,
+      date: occurrence,
+      splitType: template.splitType,
+      recurringExpense: template._id
+    });
+  } catch (error) {
+    // Another run created it already, e.g. after advancing the schedule failed
+    if (error.code !== 11000) {
+      throw error;
+    }
+    console.log(`Recurring expense ${template._id}: expense for ${occurrence.toISOString()} already exists`);
+    return null;
+  }
+  console.log(`Recurring expense ${template._id} created expense ${expense._id} for ${occurrence.toISOString()}`);
+
+  await Promise.all([
+    Group.findByIdAndUpdate(group._id, {
+      $inc: { totalExpensesMinor: template.amountMinor },
+      updatedAt: now
+    }),
+    RecurringExpense.updateOne(
+      { _id: template._id },
+      { $inc: { occurrenceCount: 1 }, lastOccurrenceAt: occurrence, lastError: null }
+    ),
+    recordActivity({
+      group: group._id,
+      actor: template.createdBy,
+      action: 'expense_added',
+      expense,
+      after: snapshotExpense(expense),
+      details: { recurringExpense: template._id.toString() }
+    }),
+    notifyExpenseMembers([snapshotExpense(expense)], {
+      sender: template.createdBy,
+      type: 'expense_added',
+      message: `Recurring expense "${expense.description}" was added to group "${group.name}"`,
+      groupId: group._id,
+      expenseId: expense._id
+    })
+  ]);
+
+  return expense;
+};
+
+const isSkipped = (template, occurrence) =>
+  template.skippedDates.some(date => date.getTime() === occurrence.getTime());
+
+// Work through one template's occurrences that are due by `now`. The
+// expense is created before nextOccurrence moves on, so an occurrence whose
+// expense failed is tried again on the next run; the unique index on
+// { recurringExpense, date } keeps two servers, or a retry, from creating
+// it twice.
+const runTemplate = async (template, now) => {
+  let created = 0;
+  let current = template;
+
+  for (let count = 0; count < MAX_CATCH_UP_OCCURRENCES; count++) {
+    const occurrence = current.nextOccurrence;
+    if (!occurrence || occurrence > now) {
+      break;
+    }
+
+    if (isSkipped(current, occurrence)) {
+      console.log(`Recurring expense ${current._id}: skipped occurrence ${occurrence.toISOString()}`);
+    } else if (await materializeOccurrence(current, occurrence, now)) {
+      created++;
+    }
+
+    // Not moving on means the template was paused, edited or run elsewhere
+    const advanced = await RecurringExpense.findOneAndUpdate(
+      { _id: current._id, nextOccurrence: occurrence, pausedAt: null },
+      {
+        nextOccurrence: followingOccurrence(current, occurrence),
+        $pull: { skippedDates: occurrence }
+      },
+      { new: true }
+    );
+    if (!advanced) {
+      console.log(`Recurring expense ${current._id}: stopped after occurrence ${occurrence.toISOString()}`);
+      break;
+    }
+    current = advanced;
+  }
+
+  return created;
+};
+
+// Create every expense that is due by `now`. Returns how many were created.
+const runDueRecurringExpenses = async (now = new Date()) => {
+  const due = await RecurringExpense.find({
+    pausedAt: null,
+    nextOccurrence: { $ne: null, $lte: now }
+  });
+
+  let created = 0;
+  for (const template of due) {
+    try {
+      created += await runTemplate(template, now);
+    } catch (error) {
+      // One broken template must not hold up the others
+      console.error(`Recurring expense ${template._id} failed:`, error);
+    }
+  }
+
+  if (due.length > 0) {
+    console.log(`[${now.toISOString()}] Recurring expenses: ${due.length} due, ${created} expenses created`);
+  }
+  return created;
+};
+
+// Runs runDueRecurringExpenses every `intervalMs`. `now` is the clock, so
+// tests can drive the scheduler through time and call runDue() directly.
+const createRecurringScheduler = ({ now = () => new Date(), intervalMs = DEFAULT_INTERVAL_MS } = {}) => {
+  let timer = null;
+  let running = false;
+
+  const runDue = () => runDueRecurringExpenses(now());
+
+  const tick = async () => {
+    try {
+      await runDue();
+    } catch (error) {
+      console.error('Recurring expense scheduler error:', error);
+    }
+    if (running) {
+      timer = setTimeout(tick, intervalMs);
+    }
+  };
+
+  return {
+    runDue,
+    start: () => {
+      if (running) {
+        return;
+      }
+      running = true;
+      console.log(`Recurring expense scheduler started, checking every ${intervalMs}ms`);
+      tick();
+    },
+    stop: () => {
+      running = false;
+      clearTimeout(timer);
+      timer = null;
+    }
+  };
+};
+
+module.exports = {
+  buildRecurringFields,
+  recurringInputs,
+  recurringPayload,
+  materializeOccurrence,
+  runDueRecurringExpenses,
+  createRecurringScheduler
+};
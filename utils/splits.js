@@ -0,0 +1,312 @@
+// utils/splits.js - Turn an expense request into per-member split entries
+const { toMinor, fromMinor, formatMinor, sumMinor, allocate } = require('./money');
+
+class SplitError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SplitError';
+  }
+}
+
+const SPLIT_TYPES = ['equal', 'unequal', 'percentage', 'shares', 'mixed', 'itemized'];
+
+const RECEIPT_EXTRAS = ['tax', 'serviceCharge', 'tip'];
+
+// Read a { memberId: number } map for the given members, rejecting missing,
+// negative or non-numeric values
+const readValues = (values, memberIds, label) => {
+  if (!values || typeof values !== 'object') {
+    throw new SplitError(`${label} are required for this split type`);
+  }
+  return memberIds.map(memberId => {
+    const value = Number(values[memberId]);
+    if (values[memberId] === undefined || !Number.isFinite(value) || value < 0) {
+      throw new SplitError(`${label} must include a non-negative number for every member`);
+    }
+    return value;
+  });
+};
+
+// Check an itemized receipt: items ([{ description, amount, members }]) plus
+// optional tax, service charge and tip, all in major units. Items may only be
+// assigned to `memberIds`. Returns the items and extras in minor units, the
+// receipt total and everyone with at least one item, in `memberIds` order.
+const buildItemization = ({ items, tax, serviceCharge, tip, currency, memberIds }) => {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new SplitError('Itemized expenses need at least one item');
+  }
+
+  const itemList = items.map(item => {
+    const amountMinor = toMinor(item?.amount, currency);
+    const members = Array.isArray(item?.members) ? [...new Set(item.members.map(String))] : [];
+    if (!item?.description || !String(item.description).trim()) {
+      throw new SplitError('Every item needs a description');
+    }
+    if (!(amountMinor >= 0)) {
+      throw new SplitError('Every item needs an amount of 0 or more');
+    }
+    if (members.length === 0) {
+      throw new SplitError('Every item needs at least one member');
+    }
+    if (members.some(memberId => !memberIds.includes(memberId))) {
+      throw new SplitError('Items can only be assigned to members of the group');
+    }
+    return { description: String(item.description).trim(), amountMinor, members };
+  });
+
+  const extras = {};
+  for (const [field, value] of Object.entries({ tax, serviceCharge, tip })) {
+    const valueMinor = value === undefined || value === null ? 0 : toMinor(value, currency);
+    if (!(valueMinor >= 0)) {
+      throw new SplitError(`${field} must be 0 or more`);
+    }
+    extras[`${field}Minor`] = valueMinor;
+  }
+
+  return {
+    items: itemList,
+    extras,
+    totalMinor: sumMinor(itemList.map(item => item.amountMinor)) + sumMinor(Object.values(extras)),
+    participantIds: memberIds.filter(memberId => itemList.some(item => item.members.includes(memberId)))
+  };
+};
+
+// Each item is shared equally by its members; tax, service charge and tip
+// are then spread in proportion to each member's item subtotal
+const itemizedParts = ({ items, extras }, participantIds) => {
+  const subtotals = participantIds.map(() => 0);
+  for (const item of items) {
+    const memberParts = allocate(item.amountMinor, item.members.map(() => 1));
+    item.members.forEach((memberId, index) => {
+      subtotals[participantIds.indexOf(memberId)] += memberParts[index];
+    });
+  }
+
+  const extrasMinor = sumMinor(Object.values(extras));
+  if (extrasMinor === 0) {
+    return subtotals;
+  }
+  if (subtotals.every(subtotal => subtotal === 0)) {
+    throw new SplitError('Tax, service charge and tip need at least one item with an amount');
+  }
+  const extraParts = allocate(extrasMinor, subtotals);
+  return subtotals.map((subtotal, index) => subtotal + extraParts[index]);
+};
+
+// The expense total in minor units. An itemized receipt adds up to its own
+// total, and an amount sent with it has to match.
+const expenseAmountMinor = ({ amount, currency, itemization }) => {
+  const amountMinor = itemization && amount === undefined ? itemization.totalMinor : toMinor(amount, currency);
+  if (!(amountMinor > 0)) {
+    throw new SplitError(`Amount must be at least ${formatMinor(1, currency)} ${currency}`);
+  }
+  if (itemization && amountMinor !== itemization.totalMinor) {
+    throw new SplitError(`Items, tax, service charge and tip add up to ${formatMinor(itemization.totalMinor, currency)} but the amount is ${formatMinor(amountMinor, currency)}`);
+  }
+  return amountMinor;
+};
+
+// Amounts in splitAmounts are major units in the expense's currency; the
+// result is one integer minor-unit share per participant
+const splitMinor = ({ totalMinor, currency, splitType, participantIds, splitAmounts, splitPercentages, splitShares, itemization }) => {
+  const toMinorUnits = (value) => toMinor(value, currency);
+
+  switch (splitType) {
+    case 'equal':
+      return { parts: allocate(totalMinor, participantIds.map(() => 1)) };
+
+    case 'unequal': {
+      const parts = readValues(splitAmounts, participantIds, 'Split amounts').map(toMinorUnits);
+      return { parts };
+    }
+
+    case 'percentage': {
+      const percentages = readValues(splitPercentages, participantIds, 'Split percentages');
+      const percentTotal = percentages.reduce((sum, value) => sum + value, 0);
+      if (Math.abs(percentTotal - 100) > 1e-6) {
+        throw new SplitError(`Split percentages add up to ${percentTotal}% instead of 100%`);
+      }
+      return { parts: allocate(totalMinor, percentages), extra: { percentage: percentages } };
+    }
+
+    case 'shares': {
+      const shares = readValues(splitShares, participantIds, 'Split shares');
+      if (shares.every(value => value === 0)) {
+        throw new SplitError('At least one member needs a share greater than 0');
+      }
+      return { parts: allocate(totalMinor, shares), extra: { shares } };
+    }
+
+    case 'mixed': {
+      // Members listed in splitAmounts pay that fixed amount; everyone else
+      // shares what is left equally
+      const amounts = splitAmounts || {};
+      const unknown = Object.keys(amounts).filter(memberId => !participantIds.includes(memberId));
+      if (unknown.length > 0) {
+        throw new SplitError('Fixed amounts can only be given for members in the split');
+      }
+      const fixedIds = participantIds.filter(memberId => amounts[memberId] !== undefined);
+      const fixedMinor = readValues(amounts, fixedIds, 'Fixed amounts').map(toMinorUnits);
+      const remainder = totalMinor - sumMinor(fixedMinor);
+      if (remainder < 0) {
+        throw new SplitError('Fixed amounts add up to more than the expense');
+      }
+
+      const sharingIds = participantIds.filter(memberId => !fixedIds.includes(memberId));
+      if (sharingIds.length === 0 && remainder !== 0) {
+        throw new SplitError('Fixed amounts must add up to the expense when every member has one');
+      }
+      const sharedMinor = sharingIds.length > 0 ? allocate(remainder, sharingIds.map(() => 1)) : [];
+
+      const parts = participantIds.map(memberId => (
+        fixedIds.includes(memberId)
+          ? fixedMinor[fixedIds.indexOf(memberId)]
+          : sharedMinor[sharingIds.indexOf(memberId)]
+      ));
+      const fixedAmountMinor = participantIds.map(memberId => (
+        fixedIds.includes(memberId) ? fixedMinor[fixedIds.indexOf(memberId)] : undefined
+      ));
+      return { parts, extra: { fixedAmountMinor } };
+    }
+
+    case 'itemized':
+      if (!itemization) {
+        throw new SplitError('Items are required for this split type');
+      }
+      return { parts: itemizedParts(itemization, participantIds) };
+
+    default:
+      throw new SplitError(`Split type must be one of: ${SPLIT_TYPES.join(', ')}`);
+  }
+};
+
+// participantIds and payerIds are member ID strings and amountMinor is the
+// expense total in minor units; itemized splits also take the result of
+// buildItemization. Every split type is checked to add up to exactly the
+// expense amount. A sole payer's own share starts out settled,
+// since they cannot owe themselves; with several payers each payer still
+// owes the others their part.
+const buildSplits = ({ amountMinor, currency, splitType, participantIds, splitAmounts, splitPercentages, splitShares, itemization, payerIds }) => {
+  const solePayer = payerIds.length === 1 ? payerIds[0].toString() : null;
+
+  if (participantIds.length === 0) {
+    throw new SplitError('No valid members to split expense among');
+  }
+
+  const { parts, extra = {} } = splitMinor({
+    totalMinor: amountMinor,
+    currency,
+    splitType,
+    participantIds,
+    splitAmounts,
+    splitPercentages,
+    splitShares,
+    itemization
+  });
+
+  const splitTotal = sumMinor(parts);
+  if (splitTotal !== amountMinor) {
+    throw new SplitError(`Split amounts add up to ${formatMinor(splitTotal, currency)} but the expense is ${formatMinor(amountMinor, currency)}`);
+  }
+
+  return participantIds.map((memberId, index) => {
+    const split = {
+      user: memberId,
+      amountMinor: parts[index],
+      settled: memberId === solePayer
+    };
+    for (const [field, values] of Object.entries(extra)) {
+      if (values[index] !== undefined) {
+        split[field] = values[index];
+      }
+    }
+    return split;
+  });
+};
+
+// Check a request's `payers` ([{ user, amount }] in major units) against the
+// expense total. Returns [{ user, amountMinor }].
+const buildPayers = ({ payers, amountMinor, currency }) => {
+  if (!Array.isArray(payers) || payers.length === 0) {
+    throw new SplitError('Payers must be a list of { user, amount }');
+  }
+
+  const payerList = payers.map(payer => {
+    const payerMinor = toMinor(payer?.amount, currency);
+    if (!payer?.user || !(payerMinor > 0)) {
+      throw new SplitError('Every payer needs a user and an amount greater than 0');
+    }
+    return { user: payer.user.toString(), amountMinor: payerMinor };
+  });
+
+  if (new Set(payerList.map(payer => payer.user)).size !== payerList.length) {
+    throw new SplitError('A member can only be listed once as a payer');
+  }
+
+  const paidTotal = sumMinor(payerList.map(payer => payer.amountMinor));
+  if (paidTotal !== amountMinor) {
+    throw new SplitError(`Payers paid ${formatMinor(paidTotal, currency)} but the expense is ${formatMinor(amountMinor, currency)}`);
+  }
+  return payerList;
+};
+
+// Who paid how much, as [{ user, amountMinor }]. Expenses without a payers
+// list were paid in full by paidBy.
+const payersOf = (expense) => {
+  if (expense.payers && expense.payers.length > 0) {
+    return expense.payers.map(payer => ({
+      user: (payer.user._id || payer.user).toString(),
+      amountMinor: payer.amountMinor
+    }));
+  }
+  return [{ user: (expense.paidBy._id || expense.paidBy).toString(), amountMinor: expense.amountMinor }];
+};
+
+// The payer recorded as paidBy: whoever paid the most, the earlier on a tie
+const primaryPayerOf = (payerList) => payerList.reduce(
+  (primary, payer) => (payer.amountMinor > primary.amountMinor ? payer : primary)
+).user;
+
+// The inputs an existing expense was split with, so an edit that only
+// changes the amount or payer can re-split it the same way. Itemized
+// expenses give back their items, tax, service charge and tip.
+const splitInputsFromExpense = (expense) => {
+  const inputs = {};
+  for (const split of expense.splitAmong) {
+    const memberId = (split.user._id || split.user).toString();
+    if (expense.splitType === 'unequal') {
+      inputs.splitAmounts = { ...inputs.splitAmounts, [memberId]: fromMinor(split.amountMinor, expense.currency) };
+    } else if (expense.splitType === 'mixed' && split.fixedAmountMinor !== undefined && split.fixedAmountMinor !== null) {
+      inputs.splitAmounts = { ...inputs.splitAmounts, [memberId]: fromMinor(split.fixedAmountMinor, expense.currency) };
+    } else if (expense.splitType === 'percentage') {
+      inputs.splitPercentages = { ...inputs.splitPercentages, [memberId]: split.percentage };
+    } else if (expense.splitType === 'shares') {
+      inputs.splitShares = { ...inputs.splitShares, [memberId]: split.shares };
+    }
+  }
+
+  if (expense.splitType === 'itemized') {
+    inputs.items = expense.items.map(item => ({
+      description: item.description,
+      amount: fromMinor(item.amountMinor, expense.currency),
+      members: item.members.map(member => (member._id || member).toString())
+    }));
+    for (const field of RECEIPT_EXTRAS) {
+      inputs[field] = fromMinor(expense.extras?.[`${field}Minor`], expense.currency);
+    }
+  }
+  return inputs;
+};
+
+module.exports = {
+  SPLIT_TYPES,
+  RECEIPT_EXTRAS,
+  SplitError,
+  buildItemization,
+  expenseAmountMinor,
+  buildSplits,
+  buildPayers,
+  payersOf,
+  primaryPayerOf,
+  splitInputsFromExpense
+};
@@ -0,0 +1,62 @@
+// utils/storage.js - File storage behind a swappable backend
+const fs = require('fs');
+const path = require('path');
+
+// A storage backend is any object with:
+//   name
+//   save(key, buffer, contentType) -> public URL of the stored file
+//   remove(key)                    -> deletes the file, ignoring missing ones
+// Keys are relative paths such as "groups/<id>/<name>.webp". The local
+// backend also sets `staticDir` and `baseUrl` so server.js can serve the
+// files itself; hosted backends return absolute URLs and leave them unset.
+
+const createLocalStorage = ({ directory, baseUrl }) => {
+  // Keys come from our own code, but never let one escape the directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(directory, key);
+    if (!filePath.startsWith(path.resolve(directory) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+    staticDir: directory,
+    baseUrl,
+    save: async (key, buffer) => {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return `${baseUrl}/${key}`;
+    },
+    remove: async (key) => {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+};
+
+const createStorageFromEnv = () => createLocalStorage({
+  directory: process.env.UPLOADS_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl: (process.env.UPLOADS_BASE_URL || '/uploads').replace(/\/$/, '')
+});
+
+let storage = null;
+
+const getStorage = () => {
+  if (!storage) {
+    storage = createStorageFromEnv();
+    console.log(`File storage using ${storage.name} backend`);
+  }
+  return storage;
+};
+
+const setStorage = (nextStorage) => {
+  storage = nextStorage;
+};
+
+module.exports = {
+  getStorage,
+  setStorage,
+  createLocalStorage
+};
@@ -0,0 +1,188 @@
+// utils/tokens.js - Access token signing and refresh-token session handling
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const TWO_FACTOR_CHALLENGE_TTL_SECONDS = 5 * 60;
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+// Rotated-out hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKEN_HASHES = 50;
+
+// Refresh tokens are opaque random strings; only their hash is stored
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const generateRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+const refreshExpiryDate = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+// Sign a short-lived access token bound to a session
+const signAccessToken = (userId, sessionId) => {
+  const token = jwt.sign(
+    { userId, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+  const { exp } = jwt.decode(token);
+  return { token, expiresIn: exp - Math.floor(Date.now() / 1000) };
+};
+
+const SESSION_PLATFORMS = ['web', 'ios', 'android', 'expo'];
+// Don't write lastSeenAt on every request
+const LAST_SEEN_RESOLUTION_MS = 60 * 1000;
+
+// Describe the device behind a request for the session record
+const sessionContextFromRequest = (req, user) => {
+  const requested = req.body?.platform;
+  return {
+    platform: SESSION_PLATFORMS.includes(requested) ? requested : (user?.platform || 'unknown'),
+    userAgent: req.get('user-agent'),
+    ip: req.ip
+  };
+};
+
+// Start a new session for a user and return the token pair for the client
+const createSession = async (user, context = {}) => {
+  const refreshToken = generateRefreshToken();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(refreshToken),
+    platform: context.platform,
+    userAgent: context.userAgent,
+    ip: context.ip,
+    expiresAt: refreshExpiryDate()
+  });
+
+  const { token, expiresIn } = signAccessToken(user._id, session._id);
+  console.log(`Session ${session._id} created for user ${user._id}`);
+
+  return { token, refreshToken, expiresIn, session };
+};
+
+// Exchange a refresh token for a new token pair. Returns null when the token
+// is unknown, expired or revoked. Replaying an already rotated token revokes
+// the session it belonged to. The swap is a single update, so two requests
+// racing with the same token cannot both get a new pair; the loser is
+// treated as a replay.
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  const tokenHash = hashToken(refreshToken);
+  const nextRefreshToken = generateRefreshToken();
+  const now = new Date();
+
+  const update = {
+    refreshTokenHash: hashToken(nextRefreshToken),
+    expiresAt: refreshExpiryDate(),
+    lastRefreshedAt: now,
+    lastSeenAt: now
+  };
+  if (context.ip) {
+    update.ip = context.ip;
+  }
+
+  const session = await Session.findOneAndUpdate(
+    { refreshTokenHash: tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+    {
+      $set: update,
+      $push: { previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_TOKEN_HASHES } }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOneAndUpdate(
+      { previousTokenHashes: tokenHash, revokedAt: { $exists: false } },
+      { revokedAt: now, revokedReason: 'refresh_token_reuse' },
+      { new: true }
+    );
+    if (reused) {
+      console.log(`Refresh token reuse detected for session ${reused._id}, revoked`);
+    } else {
+      console.log('Refresh attempted with an unknown, expired or revoked token');
+    }
+    return null;
+  }
+
+  const { token, expiresIn } = signAccessToken(session.user, session._id);
+  return { token, refreshToken: nextRefreshToken, expiresIn, session };
+};
+
+const revokeSession = async (sessionId, reason = 'logout') => {
+  return Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: { $exists: false } },
+    { revokedAt: new Date(), revokedReason: reason },
+    { new: true }
+  );
+};
+
+// Revoke every active session of a user, optionally keeping one alive
+const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+  const filter = { user: userId, revokedAt: { $exists: false } };
+  if (exceptSessionId) {
+    filter._id = { $ne: exceptSessionId };
+  }
+  const result = await Session.updateMany(filter, { revokedAt: new Date(), revokedReason: reason });
+  return result.modifiedCount;
+};
+
+// Verify an access token and make sure its session is still active.
+// Throws a JWT error for bad tokens and a SessionRevokedError otherwise.
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+  if (!session || !session.isActive || session.user.toString() !== decoded.userId.toString()) {
+    const error = new Error('Session has been revoked or has expired');
+    error.name = 'SessionRevokedError';
+    throw error;
+  }
+
+  return { decoded, session };
+};
+
+// Record activity on a session, at most once per LAST_SEEN_RESOLUTION_MS
+const touchSession = async (session, ip) => {
+  if (session.lastSeenAt && Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_RESOLUTION_MS) {
+    return;
+  }
+  const update = { lastSeenAt: new Date() };
+  if (ip) {
+    update.ip = ip;
+  }
+  await Session.updateOne({ _id: session._id }, update);
+};
+
+// Short-lived token proving the first factor passed; exchanged for a
+// session at /api/auth/2fa/verify. It has no session id, so it is never
+// accepted as an access token. `jti` names the UserToken record that makes
+// it single-use and limits the codes tried against it.
+const signChallengeToken = (userId, jti) => {
+  const token = jwt.sign(
+    { userId, purpose: '2fa_challenge', jti },
+    process.env.JWT_SECRET,
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS }
+  );
+  return { token, expiresIn: TWO_FACTOR_CHALLENGE_TTL_SECONDS };
+};
+
+const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (decoded.purpose !== '2fa_challenge' || !decoded.jti) {
+    throw new jwt.JsonWebTokenError('Not a two-factor challenge token');
+  }
+  return decoded;
+};
+
+module.exports = {
+  TWO_FACTOR_CHALLENGE_TTL_SECONDS,
+  hashToken,
+  signAccessToken,
+  sessionContextFromRequest,
+  createSession,
+  rotateRefreshToken,
+  touchSession,
+  revokeSession,
+  revokeAllSessions,
+  verifyAccessToken,
+  signChallengeToken,
+  verifyChallengeToken
+};
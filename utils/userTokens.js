@@ -0,0 +1,61 @@
+// utils/userTokens.js - Issue and consume single-use tokens
+const crypto = require('crypto');
+const UserToken = require('../models/UserToken');
+const { hashToken } = require('./tokens');
+
+// Create a fresh token for a purpose, invalidating any outstanding ones.
+// Returns the raw token to embed in the email link.
+const issueUserToken = async (userId, purpose, ttlMinutes) => {
+  await UserToken.updateMany(
+    { user: userId, purpose, usedAt: { $exists: false } },
+    { usedAt: new Date() }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  await UserToken.create({
+    user: userId,
+    purpose,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000)
+  });
+
+  return token;
+};
+
+// Atomically mark a token as used. Returns the token document, or null when
+// it is unknown, expired or already used.
+const consumeUserToken = async (token, purpose) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() }
+    },
+    { usedAt: new Date() },
+    { new: true }
+  );
+};
+
+// Count one try against a token that allows a few (a 2FA challenge)
+// without using it up. Returns the token document, or null when it is
+// unknown, expired, already used or out of tries.
+const reserveUserTokenAttempt = async (token, purpose, maxAttempts) => {
+  return UserToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      purpose,
+      usedAt: { $exists: false },
+      expiresAt: { $gt: new Date() },
+      attempts: { $lt: maxAttempts }
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  issueUserToken,
+  consumeUserToken,
+  reserveUserTokenAttempt
+};